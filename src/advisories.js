@@ -0,0 +1,163 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { comparePythonVersions, normalizePackageName } from './python.js';
+
+/*
+ * Advisories follow the OSV schema (https://ossf.github.io/osv-schema/), as found in the
+ * https://osv.dev data dumps. Nothing is fetched, the dump is read from disk.
+ */
+
+function listJsonFiles(dirPath) {
+  return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      return listJsonFiles(entryPath);
+    }
+    return entry.name.endsWith('.json') ? [entryPath] : [];
+  });
+}
+
+export function loadOsvAdvisories(advisoriesPath) {
+  // A JSON file holding one advisory or an array of them, or a directory of such files
+  if (!fs.existsSync(advisoriesPath)) {
+    throw new Error(`advisories path "${advisoriesPath}" doesn't exist`);
+  }
+  const files = fs.statSync(advisoriesPath).isDirectory()
+    ? listJsonFiles(advisoriesPath) : [advisoriesPath];
+  return files.flatMap((filePath) => {
+    try {
+      return [JSON.parse(fs.readFileSync(filePath, 'utf8'))].flat();
+    } catch (error) {
+      throw new Error(`couldn't parse advisory "${filePath}": ${error.message}`);
+    }
+  });
+}
+
+function isInRange(version, { type, events = [] }) {
+  // GIT ranges are commits, not versions
+  if (type === 'GIT') {
+    return false;
+  }
+  const eventVersion = (event) => Object.values(event)[0];
+  const sorted = [...events]
+    .sort((a, b) => comparePythonVersions(eventVersion(a), eventVersion(b)));
+  let affected = false;
+  sorted.forEach(({
+    introduced, fixed, last_affected: lastAffected, limit,
+  }) => {
+    if (introduced && comparePythonVersions(version, introduced) >= 0) {
+      affected = true;
+    } else if (fixed && comparePythonVersions(version, fixed) >= 0) {
+      affected = false;
+    } else if (lastAffected && comparePythonVersions(version, lastAffected) > 0) {
+      affected = false;
+    } else if (limit && limit !== '*' && comparePythonVersions(version, limit) >= 0) {
+      affected = false;
+    }
+  });
+  return affected;
+}
+
+function getSeverity(advisory, affected) {
+  // GHSA advisories rate the severity in `database_specific`, others may only have a CVSS vector
+  return advisory.database_specific?.severity
+    || affected.ecosystem_specific?.severity
+    || advisory.severity?.[0]?.score
+    || 'UNKNOWN';
+}
+
+export function getAdvisoryMatch(advisory, { lib, version, ecosystem = 'PyPI' }) {
+  // How the advisory affects the pinned version, or null when it doesn't
+  if (advisory.withdrawn) {
+    return null;
+  }
+  const name = normalizePackageName(lib);
+  const affected = (advisory.affected || []).find((a) => a.package?.ecosystem === ecosystem
+    && normalizePackageName(a.package.name) === name
+    && ((a.versions || []).includes(version)
+      || (a.ranges || []).some((range) => isInRange(version, range))));
+  if (!affected) {
+    return null;
+  }
+  // The lowest fixed version above the pinned one, null if there's no fix yet
+  const fixed = (affected.ranges || [])
+    .flatMap(({ events = [] }) => events.map((event) => event.fixed).filter((v) => !!v))
+    .filter((v) => comparePythonVersions(v, version) > 0)
+    .sort(comparePythonVersions)[0] || null;
+  return {
+    id: advisory.id,
+    aliases: advisory.aliases || [],
+    summary: advisory.summary || '',
+    severity: getSeverity(advisory, affected),
+    fixed,
+  };
+}
+
+export function findVulnerablePins(pins, advisories, { ecosystem = 'PyPI' } = {}) {
+  /* Matches pinned versions, as returned by parsePinnedRequirementsTree, against advisories
+   * [{
+   *   lib: 'flask',
+   *   version: '2.2.0',
+   *   fixedVersion: '2.2.5', // fixes all of the advisories, null when one isn't fixed yet
+   *   advisories: [{ id, aliases, summary, severity, fixed }],
+   * }]
+   */
+  return Object.entries(pins)
+    .filter(([, { version }]) => !!version)
+    .map(([lib, { version }]) => {
+      const matches = advisories
+        .map((advisory) => getAdvisoryMatch(advisory, { lib, version, ecosystem }))
+        .filter((match) => !!match);
+      const fixes = matches.map(({ fixed }) => fixed);
+      const fixedVersion = fixes.includes(null) ? null : fixes.sort(comparePythonVersions).pop();
+      return {
+        lib, version, fixedVersion, advisories: matches,
+      };
+    })
+    .filter(({ advisories: matches }) => matches.length > 0)
+    .sort((a, b) => a.lib.localeCompare(b.lib));
+}
+
+export function renderAdvisories(advisories) {
+  return advisories.map(({
+    id, aliases, severity, summary,
+  }) => {
+    const alsoKnownAs = aliases.length ? ` (${aliases.join(', ')})` : '';
+    return `- ${id}${alsoKnownAs}, severity: ${severity}${summary ? `: ${summary}` : ''}`;
+  }).join('\n');
+}
+
+export function renderVulnerabilityReport(vulnerabilities) {
+  if (vulnerabilities.length === 0) {
+    return 'No vulnerable pins found';
+  }
+  const rows = vulnerabilities.map(({
+    lib, version, fixedVersion, advisories,
+  }) => `| ${lib} | ${version} | ${fixedVersion || 'no fix yet'} | ${advisories.map(({ id, severity }) => `${id} (${severity})`).join(', ')} |`);
+  return [
+    `Found ${vulnerabilities.length} vulnerable pin(s)`,
+    '',
+    '| Library | Pinned | Fixed in | Advisories |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+  ].join('\n');
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  findVulnerablePins, getAdvisoryMatch, loadOsvAdvisories, renderVulnerabilityReport,
+} from './advisories.js';
+
+const FLASK_ADVISORY = {
+  id: 'GHSA-m2qf-hxjv-5gpq',
+  aliases: ['CVE-2023-30861'],
+  summary: 'Flask vulnerable to possible disclosure of permanent session cookie',
+  database_specific: { severity: 'HIGH' },
+  affected: [{
+    package: { ecosystem: 'PyPI', name: 'Flask' },
+    ranges: [
+      { type: 'ECOSYSTEM', events: [{ introduced: '2.3.0' }, { fixed: '2.3.2' }] },
+      { type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '2.2.5' }] },
+    ],
+  }],
+};
+
+const WERKZEUG_ADVISORY = {
+  id: 'PYSEC-2023-57',
+  severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:H' }],
+  affected: [{
+    package: { ecosystem: 'PyPI', name: 'werkzeug' },
+    ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }, { last_affected: '2.2.2' }] }],
+  }],
+};
+
+describe('getAdvisoryMatch', () => {
+  it.each([
+    ['2.2.4', '2.2.5'],
+    ['2.3.1', '2.3.2'],
+  ])('matches flask %s, fixed in %s', (version, fixed) => {
+    expect(getAdvisoryMatch(FLASK_ADVISORY, { lib: 'flask', version })).toEqual({
+      id: 'GHSA-m2qf-hxjv-5gpq',
+      aliases: ['CVE-2023-30861'],
+      summary: 'Flask vulnerable to possible disclosure of permanent session cookie',
+      severity: 'HIGH',
+      fixed,
+    });
+  });
+
+  it.each(['2.2.5', '2.3.2', '3.0.0'])('ignores fixed versions (%s)', (version) => {
+    expect(getAdvisoryMatch(FLASK_ADVISORY, { lib: 'flask', version })).toBeNull();
+  });
+
+  it('ignores withdrawn advisories and other ecosystems', () => {
+    expect(getAdvisoryMatch({ ...FLASK_ADVISORY, withdrawn: '2023-06-01T00:00:00Z' }, { lib: 'flask', version: '2.2.0' })).toBeNull();
+    expect(getAdvisoryMatch(FLASK_ADVISORY, { lib: 'flask', version: '2.2.0', ecosystem: 'npm' })).toBeNull();
+  });
+});
+
+describe('findVulnerablePins', () => {
+  it('lists vulnerable pins with the version fixing all their advisories', () => {
+    const pins = {
+      flask: { version: '2.2.2', deps: [], vias: [] },
+      werkzeug: { version: '2.2.2', deps: [], vias: ['flask'] },
+      click: { version: '8.1.3', deps: [], vias: ['flask'] },
+      'flask-migrate': { version: null, deps: [], vias: [] },
+    };
+    const vulnerabilities = findVulnerablePins(pins, [FLASK_ADVISORY, WERKZEUG_ADVISORY]);
+    expect(vulnerabilities.map(({ lib, version, fixedVersion }) => [lib, version, fixedVersion]))
+      .toEqual([['flask', '2.2.2', '2.2.5'], ['werkzeug', '2.2.2', null]]);
+    expect(vulnerabilities[1].advisories[0].severity).toEqual(WERKZEUG_ADVISORY.severity[0].score);
+    expect(renderVulnerabilityReport(vulnerabilities)).toContain('| werkzeug | 2.2.2 | no fix yet | PYSEC-2023-57 (CVSS:3.1/');
+  });
+});
+
+describe('loadOsvAdvisories', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supersetbot-osv-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads a directory of advisories', () => {
+    fs.mkdirSync(path.join(tmpDir, 'PyPI'));
+    fs.writeFileSync(path.join(tmpDir, 'PyPI', 'flask.json'), JSON.stringify(FLASK_ADVISORY));
+    fs.writeFileSync(path.join(tmpDir, 'more.json'), JSON.stringify([WERKZEUG_ADVISORY]));
+    fs.writeFileSync(path.join(tmpDir, 'README.md'), '# OSV dump');
+    expect(loadOsvAdvisories(tmpDir).map(({ id }) => id).sort())
+      .toEqual(['GHSA-m2qf-hxjv-5gpq', 'PYSEC-2023-57']);
+  });
+
+  it('fails on a missing path', () => {
+    expect(() => loadOsvAdvisories(path.join(tmpDir, 'nope'))).toThrow("doesn't exist");
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import GitRelease from './git_release.js';
+
+// Order matters here, it's the order in which sections are rendered
+export const CHANGELOG_SECTIONS = [
+  { key: 'breaking', title: 'Breaking Changes' },
+  { key: 'feat', title: 'Features' },
+  { key: 'fix', title: 'Fixes' },
+  { key: 'perf', title: 'Performance' },
+  { key: 'docs', title: 'Documentation' },
+  { key: 'chore', title: 'Chores' },
+  { key: 'other', title: 'Other' },
+];
+
+const conventionalCommitRegex = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.*)$/;
+
+export function parseConventionalCommit(subject) {
+  const cleaned = (subject || '').replace(/\s*\(#\d+\)\s*$/, '').trim();
+  const match = cleaned.match(conventionalCommitRegex);
+  if (!match) {
+    return {
+      type: 'other', scope: null, breaking: false, description: cleaned,
+    };
+  }
+  const [, rawType, scope, bang, description] = match;
+  const type = rawType.toLowerCase();
+  const knownTypes = CHANGELOG_SECTIONS.map((s) => s.key);
+  return {
+    type: knownTypes.includes(type) ? type : 'other',
+    scope: scope || null,
+    breaking: !!bang,
+    description,
+  };
+}
+
+export function groupChangelogEntries(entries) {
+  const groups = Object.fromEntries(CHANGELOG_SECTIONS.map((s) => [s.key, []]));
+  entries.forEach((entry) => {
+    const key = entry.breaking ? 'breaking' : entry.type;
+    groups[key].push(entry);
+  });
+  Object.values(groups).forEach((group) => group.sort((a, b) => a.prId - b.prId));
+  return groups;
+}
+
+function renderEntry(entry, repo) {
+  const scope = entry.scope ? `**${entry.scope}:** ` : '';
+  const prLink = repo
+    ? `[#${entry.prId}](https://github.com/${repo}/pull/${entry.prId})`
+    : `#${entry.prId}`;
+  const author = entry.author ? ` (@${entry.author})` : '';
+  return `- ${prLink} ${scope}${entry.title}${author}`;
+}
+
+export function renderChangelogMarkdown({
+  release, from, groups, repo = null,
+}) {
+  let md = `## ${release}`;
+  if (from) {
+    md += ` (${from}...${release})`;
+  }
+  md += '\n';
+  CHANGELOG_SECTIONS.forEach(({ key, title }) => {
+    const entries = groups[key] || [];
+    if (entries.length) {
+      md += `\n### ${title}\n\n`;
+      md += entries.map((entry) => renderEntry(entry, repo)).join('\n');
+      md += '\n';
+    }
+  });
+  return md;
+}
+
+export async function getChangelog({
+  git, github, release, from = null, verbose = false,
+}) {
+  // Only tags have a previous release, anything else needs to say where it starts
+  let prevRelease = from;
+  if (!prevRelease) {
+    if (!(await git.releaseTags()).includes(release)) {
+      throw new Error(`"${release}" isn't a release tag, use --from to set where the changelog starts`);
+    }
+    prevRelease = await git.previousRelease(release);
+  }
+  const releaseRange = new GitRelease(release, git.context, prevRelease);
+  await releaseRange.load();
+
+  const entries = [];
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const [prId, commit] of releaseRange.prIdCommitMap) {
+    const parsed = parseConventionalCommit(commit.message);
+    const entry = {
+      prId,
+      sha: commit.sha,
+      ...parsed,
+      title: parsed.description,
+      author: null,
+    };
+    // Running sequentially to avoid rate limiting
+    const pr = await github.getPullRequest(prId);
+    if (pr) {
+      // The PR title is usually the most up-to-date version of the commit subject
+      const fromTitle = parseConventionalCommit(pr.title);
+      entry.title = fromTitle.description;
+      entry.author = pr.user?.login || null;
+    } else if (verbose) {
+      console.error(`Couldn't fetch PR #${prId}, using the commit message instead`);
+    }
+    entries.push(entry);
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+  return {
+    release,
+    from: prevRelease || null,
+    entries,
+    groups: groupChangelogEntries(entries),
+  };
+}
@@ -0,0 +1,69 @@
+import {
+  getChangelog, parseConventionalCommit, groupChangelogEntries, renderChangelogMarkdown,
+} from './changelog.js';
+
+describe('parseConventionalCommit', () => {
+  test.each([
+    ['feat: add a thing (#123)', {
+      type: 'feat', scope: null, breaking: false, description: 'add a thing',
+    }],
+    ['fix(sqllab): fix a thing', {
+      type: 'fix', scope: 'sqllab', breaking: false, description: 'fix a thing',
+    }],
+    ['feat(api)!: remove old endpoint (#1)', {
+      type: 'feat', scope: 'api', breaking: true, description: 'remove old endpoint',
+    }],
+    ['chore!: drop python 3.8', {
+      type: 'chore', scope: null, breaking: true, description: 'drop python 3.8',
+    }],
+    ['build(deps): bump foo', {
+      type: 'other', scope: 'deps', breaking: false, description: 'bump foo',
+    }],
+    ['Some random commit message (#42)', {
+      type: 'other', scope: null, breaking: false, description: 'Some random commit message',
+    }],
+  ])('parses "%s"', (subject, expected) => {
+    expect(parseConventionalCommit(subject)).toEqual(expected);
+  });
+});
+
+describe('groupChangelogEntries', () => {
+  it('groups by type and puts breaking changes in their own section', () => {
+    const groups = groupChangelogEntries([
+      { prId: 3, type: 'fix', breaking: false },
+      { prId: 1, type: 'fix', breaking: false },
+      { prId: 2, type: 'feat', breaking: true },
+    ]);
+    expect(groups.fix.map((e) => e.prId)).toEqual([1, 3]);
+    expect(groups.breaking.map((e) => e.prId)).toEqual([2]);
+    expect(groups.feat).toEqual([]);
+  });
+});
+
+describe('renderChangelogMarkdown', () => {
+  it('renders non-empty sections only', () => {
+    const groups = groupChangelogEntries([
+      {
+        prId: 1, type: 'fix', breaking: false, scope: 'charts', title: 'fix a chart', author: 'bob',
+      },
+    ]);
+    const md = renderChangelogMarkdown({
+      release: '4.1.0', from: '4.0.0', groups, repo: 'apache/superset',
+    });
+    expect(md).toContain('## 4.1.0 (4.0.0...4.1.0)');
+    expect(md).toContain('### Fixes');
+    expect(md).toContain('- [#1](https://github.com/apache/superset/pull/1) **charts:** fix a chart (@bob)');
+    expect(md).not.toContain('### Features');
+  });
+});
+
+describe('getChangelog', () => {
+  it('needs --from for anything but a release tag', async () => {
+    const git = {
+      releaseTags: async () => ['4.0.0', '4.1.0'],
+      previousRelease: async () => undefined,
+    };
+    await expect(getChangelog({ git, github: null, release: 'master' }))
+      .rejects.toThrow('"master" isn\'t a release tag, use --from to set where the changelog starts');
+  });
+});
@@ -16,10 +16,19 @@
  * specific language governing permissions and limitations
  * under the License.
  */
-import { Command, Option } from 'commander';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { Command, InvalidArgumentError, Option } from 'commander';
 
 import * as docker from './docker.js';
 import * as utils from './utils.js';
+import { getChangelog, renderChangelogMarkdown } from './changelog.js';
+import * as deps from './deps.js';
+import { normalizePackageName, PYTHON_RESOLVERS } from './python.js';
+import { NPM_GROUPS } from './npm.js';
+import DockerHub from './dockerhub.js';
 import Github from './github.js';
 import Git from './git.js';
 
@@ -29,13 +38,51 @@ export default function getCLI(context) {
   // Some reusable options
   const issueOption = new Option('-i, --issue <issue>', 'The issue number', process.env.GITHUB_ISSUE_NUMBER);
   const excludeCherriesOption = new Option('-c, --exclude-cherries', 'Generate cherry labels point to each release where the PR has been cherried');
+  const presetNames = Object.keys(docker.getDockerPresets(context.config.docker.presets));
+
+  function getValidDockerPresets(names) {
+    const presets = docker.getDockerPresets(context.config.docker.presets);
+    const invalid = names.filter((name) => !docker.resolveDockerPreset(name, presets));
+    if (invalid.length) {
+      context.logError(`invalid build preset(s) "${invalid.join(', ')}", expected one of: ${Object.keys(presets).join(', ')}`);
+      context.exit(1);
+    }
+    return presets;
+  }
+
+  function parseNonNegativeInt(value) {
+    if (!/^\d+$/.test(value)) {
+      throw new InvalidArgumentError('Expected a non-negative integer.');
+    }
+    return parseInt(value, 10);
+  }
 
   // Setting up top-level CLI options
   program
     .option('-v, --verbose', 'Output extra debugging information')
     .option('-r, --repo <repo>', 'The GitHub repo to use (ie: "apache/superset")', process.env.GITHUB_REPOSITORY)
     .option('-d, --dry-run', 'Run the command in dry-run mode')
-    .option('-a, --actor <actor>', 'The actor', process.env.GITHUB_ACTOR);
+    .option('-a, --actor <actor>', 'The actor', process.env.GITHUB_ACTOR)
+    .option('--config <path>', 'Path to a supersetbot config file, defaults to ./.supersetbot.json')
+    .option('--set <key=value>', 'Override a config value, ie: "docker.repo=apache/superset" (repeatable)', (v, prev) => [...prev, v], [])
+    .addOption(new Option('--output <format>', 'Output format, "json" prints a result document to stdout and logs to stderr').choices(['text', 'json']).default('text'));
+
+  program.hook('postAction', () => {
+    context.flushOutput();
+  });
+
+  if (context.source === 'GHA') {
+    // Comment-triggered commands need to go through the authorization policy first
+    program.hook('preAction', async (thisCommand, actionCommand) => {
+      const opts = context.processOptions(actionCommand, ['repo']);
+      const github = new Github({ context, issueNumber: opts.issue });
+      await github.authorizeCommand({
+        command: actionCommand.name(),
+        args: actionCommand.args,
+        actor: opts.actor,
+      });
+    });
+  }
 
   program.command('label <label>')
     .description('Add a label to an issue or PR')
@@ -43,7 +90,7 @@ export default function getCLI(context) {
     .action(async function (label) {
       const opts = context.processOptions(this, ['issue', 'repo']);
       const github = new Github({ context, issue: opts.issue });
-      await github.label(opts.issue, label, context, opts.actor, opts.verbose, opts.dryRun);
+      await github.label(opts.issue, label, opts.actor, opts.verbose, opts.dryRun);
     });
 
   program.command('unlabel <label>')
@@ -52,7 +99,7 @@ export default function getCLI(context) {
     .action(async function (label) {
       const opts = context.processOptions(this, ['issue', 'repo']);
       const github = new Github({ context, issueNumber: opts.issue });
-      await github.unlabel(opts.issue, label, context, opts.actor, opts.verbose, opts.dryRun);
+      await github.unlabel(opts.issue, label, opts.actor, opts.verbose, opts.dryRun);
     });
 
   program.command('orglabel')
@@ -87,10 +134,40 @@ export default function getCLI(context) {
       });
     });
 
+  program.command('cherry-pick [prId]')
+    .description('Open a PR backporting a merged PR onto a release branch')
+    .addOption(issueOption)
+    .requiredOption('-t, --to <branch>', 'The release branch to backport onto (ie: "4.1")')
+    .action(async function (prId) {
+      const opts = context.processOptions(this, ['repo']);
+      const prNumber = parseInt(prId || opts.issue, 10);
+      if (!prNumber) {
+        context.logError('a PR number is required, either as an argument or through --issue');
+        context.exit(1);
+      }
+      const git = new Git(context);
+      const main = await git.mainBranchGitRelease();
+      const commit = main.prIdCommitMap.get(prNumber);
+      if (!commit) {
+        context.logError(`couldn't find a commit for PR #${prNumber} on branch ${git.mainBranch}`);
+        context.exit(1);
+      }
+      const github = new Github({ context, issueNumber: opts.issue });
+      await github.createBackportPullRequest({
+        prId: prNumber,
+        sha: commit.sha,
+        targetBranch: opts.to,
+        verbose: opts.verbose,
+        dryRun: opts.dryRun,
+      });
+    });
+
   program.command('version')
     .description("Prints supersetbot's version number")
-    .action(async () => {
+    .action(async function () {
+      context.processOptions(this);
       const version = await utils.currentPackageVersion();
+      context.setResult('version', version);
       context.log(version);
     });
 
@@ -167,6 +244,31 @@ export default function getCLI(context) {
         }
       });
 
+    program.command('changelog <release>')
+      .description('Generate release notes for a release based on conventional commits')
+      .option('-f, --from <from>', 'The ref to start from, defaults to the previous release')
+      .addOption(new Option('-o, --format <format>', 'Output format').choices(['markdown', 'json']).default('markdown'))
+      .action(async function (release) {
+        const opts = context.processOptions(this, ['repo']);
+        const git = new Git(context);
+        const github = new Github({ context });
+        let changelog;
+        try {
+          changelog = await getChangelog({
+            git, github, release, from: opts.from, verbose: opts.verbose,
+          });
+        } catch (error) {
+          context.logError(error.message);
+          context.exit(1);
+        }
+        context.setResult('changelog', changelog);
+        if (opts.format === 'json') {
+          context.log(JSON.stringify(changelog, null, 2));
+        } else {
+          context.log(renderChangelogMarkdown({ ...changelog, repo: opts.repo }));
+        }
+      });
+
     program.command('bump-python')
       .description('Submit PR(s) to bump python dependencies')
       .option('-p, --python-package <pythonPackage>', 'name of the package to bump')
@@ -175,27 +277,135 @@ export default function getCLI(context) {
       .option('-s, --include-subpackages', 'Include subpackages bumps')
       .option('-c, --only-base', 'Only bump requirements/base.in dependencies')
       .option('-l, --limit <limit>', 'Limit the number of PRs to create', null, parseInt)
+      .option('-b, --bundle', 'Bundle all the upgrades in a single PR, libraries failing to resolve with the rest get their own PR')
+      .option('-m, --match <glob>', 'Only bump libraries matching a glob pattern, ie: "apache-*"')
+      .option('--patch-only', 'Only keep patch-level bumps')
+      .addOption(new Option('--resolver <resolver>', 'Lock tool recompiling the requirements, defaults to python.resolver in the config')
+        .choices(Object.keys(PYTHON_RESOLVERS)))
+      .option('--vulnerable-only', 'Only bump libraries with known vulnerabilities, to the version fixing them (requires --advisories)')
+      .option('--vulnerability-report', 'List the vulnerable pinned libraries without creating PRs (requires --advisories)')
+      .option('--advisories <path>', 'OSV advisories, a JSON file or a directory of them')
+      .option('--reconcile', 'Refresh or close the open bump PRs instead of opening new ones')
       .action(async function () {
         const opts = context.processOptions(this, ['repo']);
         const github = new Github({ context });
-        if (opts.pythonPackage) {
+        if (opts.reconcile) {
+          await github.reconcileBumpPullRequests({ ...opts });
+          return;
+        }
+        if ((opts.vulnerableOnly || opts.vulnerabilityReport) && !opts.advisories) {
+          context.logError('--advisories is required to look for vulnerabilities');
+          context.exit(1);
+        }
+        if (opts.pythonPackage && !opts.vulnerableOnly && !opts.vulnerabilityReport) {
           await github.createBumpLibPullRequest({ ...opts });
         } else {
-          await github.createAllBumpPRs({ ...opts });
+          // In the vulnerability modes, -p narrows down the libraries to look at
+          await github.createAllBumpPRs({ ...opts, match: opts.match || opts.pythonPackage });
+        }
+      });
+
+    program.command('bump-npm')
+      .description('Submit a PR to bump frontend npm dependencies')
+      .option('-p, --npm-package <npmPackage>', 'name of the package to bump')
+      .addOption(new Option('-g, --group <group>', 'dependency type to bump in a single PR')
+        .choices([...NPM_GROUPS, 'all']))
+      .option('-m, --match <glob>', 'Only bump packages matching a glob pattern, ie: "@superset-ui/*"')
+      .option('-u, --use-current-repo', 'Uses the current repo instead of a temporary one')
+      .action(async function () {
+        const opts = context.processOptions(this, ['repo']);
+        if (!opts.npmPackage && !opts.group && !opts.match) {
+          context.logError('a package, a group or a pattern is required, use -p, -g or -m');
+          context.exit(1);
         }
+        const github = new Github({ context });
+        await github.createBumpNpmPullRequest({ ...opts });
+      });
+
+    const depsCommand = program.command('deps')
+      .description('Inspect the tree of pinned python requirements')
+      .option('-c, --only-base', 'Only look at the base requirements file');
+
+    const readDepsTree = async (command) => {
+      const opts = context.processOptions(command, []);
+      const { reqsFiles } = context.config.python;
+      let tree;
+      try {
+        tree = await deps.readPinnedRequirementsTree({ reqsFiles, onlyBase: opts.onlyBase });
+      } catch (error) {
+        context.logError(error.message);
+        context.exit(1);
+      }
+      return { opts, tree, reqsFiles };
+    };
+
+    const getDepsNode = (tree, pkg) => {
+      const name = Object.keys(tree)
+        .find((k) => normalizePackageName(k) === normalizePackageName(pkg));
+      if (!name) {
+        context.logError(`"${pkg}" isn't in the pinned requirements`);
+        context.exit(1);
+      }
+      return name;
+    };
+
+    depsCommand.command('tree <package>')
+      .description('Show the dependencies of a package, recursively')
+      .action(async function (pkg) {
+        const { tree } = await readDepsTree(this);
+        const descendants = deps.getDescendants(tree, getDepsNode(tree, pkg));
+        context.setResult('deps', descendants);
+        context.log(deps.renderDescendants(descendants));
+      });
+
+    depsCommand.command('why <package>')
+      .description('Show why a package is pinned, up to the top-level requirements')
+      .action(async function (pkg) {
+        const { tree } = await readDepsTree(this);
+        const paths = deps.findRequirementPaths(tree, getDepsNode(tree, pkg));
+        context.setResult('deps', paths);
+        context.log(paths.map((p) => p.join(' <- ')).join('\n'));
+      });
+
+    depsCommand.command('list')
+      .description('List the pinned packages with their versions')
+      .action(async function () {
+        const { tree } = await readDepsTree(this);
+        const pins = deps.listPins(tree);
+        context.setResult('deps', pins);
+        context.log(pins.map(({ name, version }) => `${name}==${version}`).join('\n'));
       });
 
-    program.command('docker')
+    depsCommand.command('orphans')
+      .description('List the pins no longer required by anything')
+      .action(async function () {
+        const { tree, reqsFiles } = await readDepsTree(this);
+        const topLevel = await deps.readTopLevelRequirements({ reqsFiles });
+        const orphans = deps.findOrphans(tree, topLevel);
+        context.setResult('deps', orphans);
+        context.log(orphans.length
+          ? orphans.map(({ name, version }) => `${name}==${version}`).join('\n')
+          : 'No orphan pins found');
+      });
+
+    const dockerCommand = program.command('docker')
       .description('Generates/run docker build commands use in CI')
-      .option('-t, --preset <preset>', 'Build preset', /^(lean|dev|dockerize|websocket|py310|ci|py311)$/i, 'lean')
+      .option('-t, --preset <preset>', `Build preset (choices: ${presetNames.join(', ')}, or pyXY for any python version)`, 'lean')
       .option('-c, --context <context>', 'Build context', /^(push|pull_request|release)$/i, 'local')
       .option('-r, --context-ref <ref>', 'Reference to the PR, release, or branch')
       .option('-p, --platform <platform...>', 'Platforms (multiple values allowed)')
       .option('-f, --force-latest', 'Force the "latest" tag on the release')
       .option('-x, --extra-flags <extraFlags>', 'Pass a extra flags to the docker build command')
+      .addOption(new Option('--cache <backend>', 'Build cache backend')
+        .choices(docker.CACHE_BACKENDS).default('registry'))
+      .option('--cache-dir <dir>', 'Directory for the "local" cache backend', docker.DEFAULT_CACHE_DIR)
+      .option('--metadata-file <path>', 'Write the tags, labels and platforms of the build to a JSON file')
+      .option('--push-by-digest', 'Push an untagged single-platform image, to be merged with "docker manifest"')
+      .option('--digest-file <path>', 'Write the buildx metadata, including the image digest, to this file')
       .option('-v, --verbose', 'Print more info')
       .action(async function () {
         const opts = context.processOptions(this, ['preset', 'repo']);
+        const presets = getValidDockerPresets([opts.preset]);
         opts.platform = opts.platform || ['linux/arm64'];
         const github = new Github({ context });
         const buildContext = opts.context;
@@ -203,12 +413,268 @@ export default function getCLI(context) {
         const { extraFlags } = opts;
         const latestRelease = await github.getLatestReleaseTag();
         console.log(`Latest release: ${latestRelease}`);
-        const command = await docker.getDockerCommand({
-          ...opts, buildContext, buildContextRef, latestRelease, extraFlags,
+        const build = await docker.getDockerBuild({
+          ...opts,
+          ...context.config.docker,
+          presets,
+          mainBranch: context.config.mainBranch,
+          buildContext,
+          buildContextRef,
+          latestRelease,
+          extraFlags,
+          sourceUrl: `https://github.com/${context.repo}`,
+        });
+        const { command, argv } = build;
+        context.setResult('docker', build);
+        context.log(command);
+        if (!opts.dryRun) {
+          await utils.spawnCommand({
+            argv, raiseOnError: false, timeout: utils.COMMAND_TIMEOUTS.docker,
+          });
+        }
+        const outputs = docker.getDockerBuildOutputs(build);
+        utils.writeGithubOutputs(docker.formatDockerBuildOutputs(outputs));
+        if (opts.metadataFile) {
+          fs.writeFileSync(opts.metadataFile, JSON.stringify(outputs, null, 2));
+          context.log(`Build metadata written to ${opts.metadataFile}`);
+        }
+      });
+
+    dockerCommand.command('bake [presets...]')
+      .description('Builds one or more presets (defaults to --preset) in a single "docker buildx bake" invocation')
+      .option('-o, --bake-file <path>', 'Where to write the bake definition, defaults to a temporary file')
+      .action(async function (bakePresets) {
+        const opts = context.processOptions(this, ['repo']);
+        const names = bakePresets.length ? bakePresets : [opts.preset];
+        const presets = getValidDockerPresets(names);
+        let latestRelease = null;
+        if (opts.context === 'release') {
+          const github = new Github({ context });
+          latestRelease = await github.getLatestReleaseTag();
+        }
+        const sha = await docker.getGitSha();
+        const specs = await Promise.all(names.map((preset) => docker.getDockerBuildSpec({
+          ...context.config.docker,
+          presets,
+          mainBranch: context.config.mainBranch,
+          preset,
+          platform: opts.platform || ['linux/arm64'],
+          buildContext: opts.context,
+          buildContextRef: opts.contextRef,
+          forceLatest: opts.forceLatest,
+          latestRelease,
+          sha,
+          cache: opts.cache,
+          cacheDir: opts.cacheDir,
+          sourceUrl: `https://github.com/${context.repo}`,
+        })));
+        const definition = docker.getDockerBakeDefinition(specs);
+        const bakeFile = opts.bakeFile
+          || path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'supersetbot-bake-')), 'docker-bake.json');
+        fs.writeFileSync(bakeFile, JSON.stringify(definition, null, 2));
+
+        const bakeOptions = {
+          bakeFile,
+          push: specs.some((spec) => spec.push),
+          hasOutputs: specs.some((spec) => spec.output.length),
+          extraFlags: opts.extraFlags,
+        };
+        const command = docker.renderDockerBakeCommand(bakeOptions);
+        context.setResult('docker', {
+          command, bakeFile, definition, tags: specs.flatMap((spec) => spec.tags),
+        });
+        context.log(`Bake definition written to ${bakeFile}:`);
+        context.log(JSON.stringify(definition, null, 2));
+        context.log(command);
+        if (!opts.dryRun) {
+          await utils.spawnCommand({
+            argv: docker.getDockerBakeArgv(bakeOptions),
+            raiseOnError: false,
+            timeout: utils.COMMAND_TIMEOUTS.docker,
+          });
+        }
+      });
+
+    dockerCommand.command('matrix')
+      .description('Outputs a GitHub Actions build matrix (preset x platform) as JSON, using the docker options as filters')
+      .action(async function () {
+        const opts = context.processOptions(this, ['repo']);
+        // Without an explicit --preset, all presets are included
+        const onlyPresets = dockerCommand.getOptionValueSource('preset') === 'default' ? null : [opts.preset];
+        const buildContext = opts.context;
+        let latestRelease = null;
+        if (buildContext === 'release') {
+          const github = new Github({ context });
+          latestRelease = await github.getLatestReleaseTag();
+        }
+        const matrix = docker.getDockerMatrix({
+          ...context.config.docker,
+          presets: docker.getDockerPresets(context.config.docker.presets),
+          mainBranch: context.config.mainBranch,
+          buildContext,
+          buildContextRef: opts.contextRef || docker.getBuildContextRef(buildContext),
+          sha: await docker.getGitSha(),
+          forceLatest: opts.forceLatest,
+          latestRelease,
+          presetNames: onlyPresets,
+          platforms: opts.platform,
+        });
+        context.setResult('matrix', matrix);
+        utils.writeGithubOutputs({ matrix });
+        context.log(JSON.stringify(matrix));
+      });
+
+    dockerCommand.command('validate [presets...]')
+      .description('Checks the presets (all of them by default) against their Dockerfile: targets and build args')
+      .action(async function (validatePresets) {
+        context.processOptions(this, []);
+        const names = validatePresets.length ? validatePresets : null;
+        const errors = docker.validateDockerPresets({
+          presets: docker.getDockerPresets(context.config.docker.presets),
+          presetNames: names,
+          basePyImage: context.config.docker.basePyImage,
+        });
+        context.setResult('validation', { errors });
+        if (errors.length) {
+          errors.forEach((error) => context.logError(error));
+          context.exit(1);
+        }
+        context.log('All presets are valid');
+      });
+
+    dockerCommand.command('prune')
+      .description('Deletes stale pr-* and SHA tags from the registry, use --dry-run to only see the plan')
+      .option('--tags-file <path>', 'Tag listing as JSON (ie: a Docker Hub API export) instead of querying the registry')
+      .option('--open-prs <refs...>', 'Open PR numbers or branches, instead of querying GitHub')
+      .option('--keep-shas <count>', 'Number of most recent SHAs to keep', parseNonNegativeInt, 10)
+      .action(async function () {
+        const opts = context.processOptions(this, ['repo']);
+        const [{ repo, authEnv }] = docker.getDockerRegistries(context.config.docker);
+        let hub = null;
+        let tags;
+        try {
+          if (!opts.tagsFile || !opts.dryRun) {
+            hub = new DockerHub({
+              repo, username: process.env.DOCKERHUB_USER, token: process.env[authEnv],
+            });
+          }
+          const listing = opts.tagsFile
+            ? JSON.parse(fs.readFileSync(opts.tagsFile, 'utf8'))
+            : await hub.listTags();
+          tags = docker.normalizeTagListing(listing);
+        } catch (error) {
+          context.logError(`Couldn't list the tags of ${repo}: ${error.message}`);
+          context.exit(1);
+        }
+
+        let openPullRequests = opts.openPrs;
+        if (!openPullRequests) {
+          const github = new Github({ context });
+          const prs = await github.getOpenPullRequests();
+          // PR tags are named after either the PR number or its branch
+          openPullRequests = prs.flatMap((pr) => [String(pr.number), docker.toTagRef(pr.headRef)]);
+        }
+
+        const plan = docker.planDockerTagPruning({
+          tags, openPullRequests, keepShas: opts.keepShas, mainBranch: context.config.mainBranch,
+        });
+        context.setResult('prune', plan);
+        context.log(`${repo}: keeping ${plan.keep.length} tag(s), deleting ${plan.delete.length}`);
+        plan.delete.forEach(({ tag, reason }) => context.log(`  - ${tag} (${reason})`));
+        if (opts.verbose) {
+          plan.keep.forEach(({ tag, reason }) => context.log(`  + ${tag} (${reason})`));
+        }
+        if (opts.dryRun) {
+          return;
+        }
+        /* eslint-disable no-restricted-syntax, no-await-in-loop */
+        for (const { tag } of plan.delete) {
+          // One at a time, Docker Hub rate limits its API
+          try {
+            await hub.deleteTag(tag);
+            context.recordAction('tag_deleted', { repo, tag });
+          } catch (error) {
+            context.logError(`Couldn't delete ${repo}:${tag}: ${error.message}`);
+          }
+        }
+        /* eslint-enable no-restricted-syntax, no-await-in-loop */
+        if (context.hasErrors) {
+          context.exit(1);
+        }
+      });
+
+    dockerCommand.command('manifest')
+      .description('Assembles per-platform images pushed by digest into multi-arch tags')
+      .option('--digest <digests...>', 'Image digests (sha256:...), one per platform')
+      .option('--digests-from <paths...>', 'Files holding a digest, or the metadata written by "docker --digest-file"')
+      .action(async function () {
+        const opts = context.processOptions(this, ['repo']);
+        const presets = getValidDockerPresets([opts.preset]);
+        // Digests were pushed to the first registry, imagetools copies them to the others
+        const registries = docker.getDockerRegistries({
+          ...context.config.docker, preset: opts.preset,
+        });
+        if (registries.length === 0) {
+          context.logError(`No registry configured for preset "${opts.preset}"`);
+          context.exit(1);
+        }
+        const [{ repo }] = registries;
+        const digests = [...(opts.digest || [])];
+        (opts.digestsFrom || []).forEach((file) => {
+          const digest = docker.parseDigest(fs.readFileSync(file, 'utf8'));
+          if (!digest) {
+            context.logError(`No image digest found in ${file}`);
+            context.exit(1);
+          }
+          digests.push(digest);
         });
+        const invalidDigests = digests.filter((digest) => docker.parseDigest(digest) !== digest);
+        if (invalidDigests.length) {
+          context.logError(`Invalid digest(s): ${invalidDigests.join(', ')}`);
+          context.exit(1);
+        }
+        if (digests.length === 0) {
+          context.logError('At least one digest is required, use --digest or --digests-from');
+          context.exit(1);
+        }
+        let latestRelease = null;
+        if (opts.context === 'release') {
+          const github = new Github({ context });
+          latestRelease = await github.getLatestReleaseTag();
+        }
+        const buildContextRef = opts.contextRef || docker.getBuildContextRef(opts.context);
+        const sha = await docker.getGitSha();
+        const tags = docker.getDockerTags({
+          preset: opts.preset,
+          // The manifest covers all of the preset's platforms, so tags get no arch suffix
+          platforms: opts.platform || docker.resolveDockerPreset(opts.preset, presets).platforms,
+          sha,
+          buildContext: opts.context,
+          buildContextRef,
+          forceLatest: opts.forceLatest,
+          latestRelease,
+          ...context.config.docker,
+          mainBranch: context.config.mainBranch,
+          presets,
+        });
+        const annotations = docker.getOciAnnotations({
+          sourceUrl: `https://github.com/${context.repo}`,
+          sha,
+          version: opts.context === 'release' ? buildContextRef : null,
+          licenses: context.config.docker.licenses,
+        });
+        const imagetoolsOptions = {
+          tags, repo, digests, annotations,
+        };
+        const command = docker.renderImagetoolsCommand(imagetoolsOptions);
+        context.setResult('docker', { command, tags, digests });
         context.log(command);
         if (!opts.dryRun) {
-          utils.runShellCommand({ command, raiseOnError: false });
+          await utils.spawnCommand({
+            argv: docker.getImagetoolsArgv(imagetoolsOptions),
+            raiseOnError: false,
+            timeout: utils.COMMAND_TIMEOUTS.docker,
+          });
         }
       });
   }
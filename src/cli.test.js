@@ -1,4 +1,4 @@
-import { runShellCommand } from './utils';
+import { spawnCommand } from './utils';
 
 beforeEach(() => {
   process.env.GITHUB_REPOSITORY = 'apache/superset';
@@ -10,11 +10,19 @@ afterEach(() => {
 
 describe('CLI Test', () => {
   test.each([
-    ['./src/supersetbot docker --preset dev --dry-run', '--target dev'],
-    ['./src/supersetbot docker --dry-run', ' --target lean'],
-  ])('returns %s for release %s', async (command, contains) => {
-    const result = await runShellCommand({ command, exitOnError: false });
-    const output = result.stdout.toString();
-    expect(output).toContain(contains);
+    [['docker', '--preset', 'dev', '--dry-run'], '--target dev'],
+    [['docker', '--dry-run'], ' --target lean'],
+  ])('returns %s for release %s', async (args, contains) => {
+    const { stdout } = await spawnCommand({
+      argv: ['node', 'src/supersetbot', ...args], exitOnError: false,
+    });
+    expect(stdout).toContain(contains);
+  });
+
+  test('prints nothing but the matrix on stdout', async () => {
+    const { stdout } = await spawnCommand({
+      argv: ['node', 'src/supersetbot', 'docker', 'matrix'], exitOnError: false,
+    });
+    expect(JSON.parse(stdout).include.length).toBeGreaterThan(0);
   });
 });
@@ -0,0 +1,278 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import {
+  ORG_LIST, PROTECTED_LABEL_PATTERNS, COMMITTER_TEAM, MAIN_BRANCH, DOCKER_REPO, BASE_PY_IMAGE,
+  DOCKER_LICENSES, REQS_FILES, NPM_DIR,
+} from './metadata.js';
+import { ROLE_REGEX } from './policy.js';
+import { BUMP_LEVELS, DEFAULT_PYTHON_RESOLVER, PYTHON_RESOLVERS } from './python.js';
+
+export const CONFIG_FILE_NAME = '.supersetbot.json';
+
+export const DEFAULT_CONFIG = {
+  orgList: ORG_LIST,
+  protectedLabelPatterns: PROTECTED_LABEL_PATTERNS,
+  committerTeam: COMMITTER_TEAM,
+  mainBranch: MAIN_BRANCH,
+  docker: {
+    repo: DOCKER_REPO,
+    basePyImage: BASE_PY_IMAGE,
+    licenses: DOCKER_LICENSES,
+  },
+  python: {
+    reqsFiles: REQS_FILES,
+    resolver: DEFAULT_PYTHON_RESOLVER,
+  },
+  npm: {
+    dir: NPM_DIR,
+  },
+};
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const buildContexts = {
+  type: 'array',
+  items: { type: 'string', enum: ['push', 'pull_request', 'release', 'local'] },
+};
+const bumpLevel = { type: 'string', enum: BUMP_LEVELS };
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    orgList: stringArray,
+    protectedLabelPatterns: { type: 'array', items: { type: 'regex' } },
+    committerTeam: { type: 'string', pattern: /^[^/]+\/[^/]+$/, hint: 'should look like "org/team-slug"' },
+    mainBranch: { type: 'string' },
+    docker: {
+      type: 'object',
+      properties: {
+        repo: { type: 'string' },
+        basePyImage: { type: 'string' },
+        licenses: { type: 'string' },
+        registries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              repo: { type: 'string' },
+              cacheRepo: { type: 'string' },
+              authEnv: { type: 'string' },
+              tagFilter: { type: 'regex' },
+              presets: stringArray,
+            },
+            required: ['repo'],
+          },
+        },
+        presets: {
+          type: 'map',
+          values: {
+            type: 'object',
+            properties: {
+              target: { type: 'string' },
+              pyVer: { type: 'string' },
+              context: { type: 'string' },
+              dockerfile: { type: 'string' },
+              buildArgs: { type: 'map', values: { type: 'string' } },
+              tagSuffix: { type: 'string' },
+              platforms: { ...stringArray, minItems: 1 },
+              contexts: buildContexts,
+              sbom: buildContexts,
+              provenance: buildContexts,
+            },
+          },
+        },
+      },
+    },
+    python: {
+      type: 'object',
+      properties: {
+        reqsFiles: { ...stringArray, minItems: 1 },
+        resolver: { type: 'string', enum: Object.keys(PYTHON_RESOLVERS) },
+        updatePolicy: {
+          type: 'object',
+          properties: {
+            level: bumpLevel,
+            ignore: stringArray,
+            packages: {
+              type: 'map',
+              values: {
+                type: 'object',
+                properties: {
+                  level: bumpLevel,
+                  ignoreVersions: stringArray,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    npm: {
+      type: 'object',
+      properties: {
+        dir: { type: 'string' },
+      },
+    },
+    policy: {
+      type: 'map',
+      values: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            args: { type: 'array', items: { type: 'regex' } },
+            roles: {
+              type: 'array',
+              minItems: 1,
+              items: { type: 'string', pattern: ROLE_REGEX, hint: 'should be a valid role (ie: "author", "permission:write", "team:org/team")' },
+            },
+          },
+          required: ['roles'],
+        },
+      },
+    },
+  },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateValue(value, schema, keyPath, errors) {
+  const where = keyPath || '<root>';
+  if (schema.type === 'string' || schema.type === 'regex') {
+    if (typeof value !== 'string') {
+      errors.push(`"${where}" should be a string, got ${JSON.stringify(value)}`);
+      return;
+    }
+    if (schema.type === 'regex') {
+      try {
+        RegExp(value);
+      } catch (error) {
+        errors.push(`"${where}" is not a valid regular expression: ${error.message}`);
+      }
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`"${where}" ${schema.hint || `should match ${schema.pattern}`}, got "${value}"`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`"${where}" should be one of [${schema.enum.join(', ')}], got "${value}"`);
+    }
+  } else if (schema.type === 'boolean' || schema.type === 'number') {
+    // eslint-disable-next-line valid-typeof
+    if (typeof value !== schema.type) {
+      errors.push(`"${where}" should be a ${schema.type}, got ${JSON.stringify(value)}`);
+    }
+  } else if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`"${where}" should be an array, got ${JSON.stringify(value)}`);
+      return;
+    }
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`"${where}" should have at least ${schema.minItems} item(s)`);
+    }
+    value.forEach((item, i) => validateValue(item, schema.items, `${where}[${i}]`, errors));
+  } else if (schema.type === 'object' || schema.type === 'map') {
+    if (!isPlainObject(value)) {
+      errors.push(`"${where}" should be an object, got ${JSON.stringify(value)}`);
+      return;
+    }
+    const prefix = keyPath ? `${keyPath}.` : '';
+    Object.entries(value).forEach(([k, v]) => {
+      const childSchema = schema.type === 'map' ? schema.values : schema.properties[k];
+      if (!childSchema) {
+        const known = Object.keys(schema.properties).join(', ');
+        errors.push(`"${prefix}${k}" is not a known configuration key (expected one of: ${known})`);
+        return;
+      }
+      validateValue(v, childSchema, `${prefix}${k}`, errors);
+    });
+    (schema.required || []).forEach((k) => {
+      if (value[k] === undefined) {
+        errors.push(`"${prefix}${k}" is required`);
+      }
+    });
+  }
+}
+
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  validateValue(config, schema, '', errors);
+  return errors;
+}
+
+export function mergeConfig(base, override) {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([k, v]) => {
+    if (isPlainObject(v) && isPlainObject(base[k])) {
+      merged[k] = mergeConfig(base[k], v);
+    } else {
+      merged[k] = v;
+    }
+  });
+  return merged;
+}
+
+export function parseConfigOverrides(keyValues = []) {
+  // Turns ["docker.repo=apache/superset", "orgList=[\"a\"]"] into a nested object
+  const overrides = {};
+  keyValues.forEach((keyValue) => {
+    const idx = keyValue.indexOf('=');
+    if (idx < 1) {
+      throw new Error(`invalid config override "${keyValue}", expected <key>=<value>`);
+    }
+    const keys = keyValue.slice(0, idx).split('.');
+    const raw = keyValue.slice(idx + 1);
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      value = raw;
+    }
+    let node = overrides;
+    keys.slice(0, -1).forEach((k) => {
+      node[k] = isPlainObject(node[k]) ? node[k] : {};
+      node = node[k];
+    });
+    node[keys[keys.length - 1]] = value;
+  });
+  return overrides;
+}
+
+export function loadConfig({ configPath = null, overrides = [], cwd = process.cwd() } = {}) {
+  const filePath = configPath || path.join(cwd, CONFIG_FILE_NAME);
+  let fileConfig = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`couldn't parse config file "${filePath}": ${error.message}`);
+    }
+  } else if (configPath) {
+    throw new Error(`config file "${configPath}" doesn't exist`);
+  }
+  const config = mergeConfig(fileConfig, parseConfigOverrides(overrides));
+  const errors = validateConfig(config);
+  if (errors.length) {
+    throw new Error(`invalid configuration in "${filePath}":\n  - ${errors.join('\n  - ')}`);
+  }
+  return mergeConfig(DEFAULT_CONFIG, config);
+}
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  DEFAULT_CONFIG, loadConfig, validateConfig, mergeConfig, parseConfigOverrides,
+} from './config.js';
+
+describe('validateConfig', () => {
+  it('accepts the default config', () => {
+    expect(validateConfig(DEFAULT_CONFIG)).toEqual([]);
+  });
+
+  it('reports all problems at once', () => {
+    const errors = validateConfig({
+      orgList: 'preset-io',
+      committerTeam: 'no-slash',
+      protectedLabelPatterns: ['(unclosed'],
+      docker: { repo: 1, foo: 'bar' },
+      unknownKey: true,
+    });
+    expect(errors).toHaveLength(6);
+    expect(errors).toEqual(expect.arrayContaining([
+      '"orgList" should be an array, got "preset-io"',
+      '"committerTeam" should look like "org/team-slug", got "no-slash"',
+      '"docker.repo" should be a string, got 1',
+    ]));
+    expect(errors.join('\n')).toContain('"protectedLabelPatterns[0]" is not a valid regular expression');
+    expect(errors.join('\n')).toContain('"docker.foo" is not a known configuration key');
+    expect(errors.join('\n')).toContain('"unknownKey" is not a known configuration key');
+  });
+});
+
+describe('mergeConfig', () => {
+  it('deep merges objects and replaces arrays', () => {
+    const merged = mergeConfig(DEFAULT_CONFIG, { docker: { repo: 'apache/superset' }, orgList: ['a'] });
+    expect(merged.docker).toEqual({ ...DEFAULT_CONFIG.docker, repo: 'apache/superset' });
+    expect(merged.orgList).toEqual(['a']);
+    expect(merged.mainBranch).toEqual(DEFAULT_CONFIG.mainBranch);
+  });
+});
+
+describe('parseConfigOverrides', () => {
+  it('parses dotted keys and JSON values', () => {
+    expect(parseConfigOverrides(['docker.repo=apache/superset', 'orgList=["a","b"]'])).toEqual({
+      docker: { repo: 'apache/superset' },
+      orgList: ['a', 'b'],
+    });
+  });
+
+  it('throws on malformed overrides', () => {
+    expect(() => parseConfigOverrides(['nope'])).toThrow('expected <key>=<value>');
+  });
+});
+
+describe('loadConfig', () => {
+  let tmpDir;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supersetbot-config-'));
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('returns the defaults when there is no config file', () => {
+    expect(loadConfig({ cwd: tmpDir })).toEqual(DEFAULT_CONFIG);
+  });
+
+  it('merges the config file and CLI overrides on top of the defaults', () => {
+    fs.writeFileSync(path.join(tmpDir, '.supersetbot.json'), JSON.stringify({ mainBranch: 'main', docker: { repo: 'a/b' } }));
+    const config = loadConfig({ cwd: tmpDir, overrides: ['docker.repo=c/d'] });
+    expect(config.mainBranch).toEqual('main');
+    expect(config.docker.repo).toEqual('c/d');
+    expect(config.docker.basePyImage).toEqual(DEFAULT_CONFIG.docker.basePyImage);
+  });
+
+  it('throws a clear error for invalid configs', () => {
+    fs.writeFileSync(path.join(tmpDir, '.supersetbot.json'), JSON.stringify({ mainBranch: 1 }));
+    expect(() => loadConfig({ cwd: tmpDir })).toThrow('"mainBranch" should be a string, got 1');
+  });
+
+  it('throws when an explicit config file is missing', () => {
+    expect(() => loadConfig({ configPath: path.join(tmpDir, 'nope.json') })).toThrow("doesn't exist");
+  });
+});
@@ -16,10 +16,28 @@
  * specific language governing permissions and limitations
  * under the License.
  */
+/* eslint-disable max-classes-per-file */
 
 import { parseArgsStringToArgv } from 'string-argv';
 
+import { DEFAULT_CONFIG, loadConfig } from './config.js';
+
+export class ContextExitError extends Error {
+  // Thrown by `exit()` for comment-triggered commands, so that one command exiting doesn't
+  // stop the others and the reply still gets posted
+  constructor(code) {
+    super(`exited with code ${code}`);
+    this.name = 'ContextExitError';
+    this.exitCode = code;
+  }
+}
+
 class Context {
+  #consoleLog;
+
+  // Errors commandWrapper logged before rethrowing them
+  #loggedErrors = new WeakSet();
+
   constructor(source) {
     this.hasErrors = false;
     this.source = source;
@@ -27,6 +45,17 @@ class Context {
     this.errorLogs = [];
     this.logs = [];
     this.repo = null;
+    try {
+      // Loading the default config early as it shapes parts of the CLI (ie: docker presets),
+      // errors are reported once options are processed
+      this.config = loadConfig();
+    } catch (error) {
+      this.config = DEFAULT_CONFIG;
+    }
+    this.outputFormat = 'text';
+    this.actions = [];
+    this.errors = [];
+    this.results = {};
     this.optToEnvMap = {
       issue: 'GITHUB_ISSUE_NUMBER',
       repo: 'GITHUB_REPOSITORY',
@@ -52,12 +81,17 @@ class Context {
   }
 
   processOptions(command, requiredOptions = []) {
-    const raw = command.parent?.rawArgs;
+    let root = command;
+    while (root.parent) {
+      root = root.parent;
+    }
+    const raw = root.rawArgs;
     this.command = '???';
     if (raw) {
       this.command = raw.map((s) => (s.includes(' ') ? `"${s}"` : s)).join(' ').replace('node ', '');
     }
-    this.options = { ...command.opts(), ...command.parent.opts() };
+    // Including options from all ancestors for nested commands (ie: docker matrix)
+    this.options = { ...command.optsWithGlobals(), ...command.opts() };
 
     // Runtime defaults for unit tests since commanders can't receive callables as default
     Object.entries(this.optToEnvMap).forEach(([k, v]) => {
@@ -65,7 +99,15 @@ class Context {
         this.options[k] = process.env[v];
       }
     });
+    // First, so that even option errors end up in the result document
+    this.setOutputFormat(this.options.output || 'text');
     this.requireOptions(requiredOptions, this.options);
+    if (this.source === 'GHA' && (this.options.config || this.options.set?.length)) {
+      // The commenter would control the authorization policy, only the repo's config applies
+      this.logError("--config and --set can't be used in comment-triggered commands");
+      this.exit(1);
+    }
+    this.loadConfig();
     this.issueNumber = this.options.issue;
 
     if (this.source === 'GHA') {
@@ -77,6 +119,34 @@ class Context {
     return this.options;
   }
 
+  loadConfig() {
+    try {
+      this.config = loadConfig({
+        configPath: this.options.config,
+        overrides: this.options.set,
+      });
+    } catch (error) {
+      this.logError(error.message);
+      this.exit(1);
+    }
+    return this.config;
+  }
+
+  setOutputFormat(format) {
+    if (format === this.outputFormat) {
+      return;
+    }
+    this.outputFormat = format;
+    if (format === 'json') {
+      // stdout is reserved for the result document, everything else goes to stderr
+      this.#consoleLog = console.log;
+      console.log = console.error;
+    } else if (this.#consoleLog) {
+      console.log = this.#consoleLog;
+      this.#consoleLog = null;
+    }
+  }
+
   log(msg) {
     console.log(msg);
     this.logs = [...this.logs, msg];
@@ -93,10 +163,47 @@ class Context {
     const augMsg = `🔴 ERROR: ${msg}`;
     console.error(augMsg);
     this.errorLogs.push(augMsg);
+    this.errors.push(msg?.message || `${msg}`);
+  }
+
+  isErrorLogged(error) {
+    return error instanceof Object && this.#loggedErrors.has(error);
+  }
+
+  recordAction(type, details = {}) {
+    this.actions.push({ type, ...details });
+  }
+
+  setResult(key, value) {
+    this.results[key] = value;
+  }
+
+  resultDocument() {
+    return {
+      command: this.command,
+      success: !this.hasErrors,
+      dryRun: !!this.options.dryRun,
+      actions: this.actions,
+      ...this.results,
+      errors: this.errors,
+    };
+  }
+
+  flushOutput() {
+    if (this.outputFormat === 'json') {
+      this.setOutputFormat('text');
+      process.stdout.write(`${JSON.stringify(this.resultDocument(), null, 2)}\n`);
+    }
   }
 
   exit(code = 0) {
+    if (this.source === 'GHA') {
+      // Also restores console.log, before unwinding back to the comment handler
+      this.flushOutput();
+      throw new ContextExitError(code);
+    }
     this.onDone();
+    this.flushOutput();
     process.exit(code);
   }
 
@@ -121,6 +228,9 @@ class Context {
         } else {
           this.logError(error);
         }
+        if (error instanceof Object) {
+          this.#loggedErrors.add(error);
+        }
         throw (error);
       }
       if (successMsg && !hasError) {
@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { Command } from 'commander';
+import Context, { ContextExitError } from './context.js';
+
+describe('Context JSON output', () => {
+  let writeSpy;
+  let errorSpy;
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    writeSpy.mockRestore();
+    errorSpy.mockRestore();
+    console.log = originalConsoleLog;
+  });
+
+  it('routes logs to stderr and prints a result document on flush', () => {
+    const context = new Context('CLI');
+    context.command = 'supersetbot label foo';
+    context.setOutputFormat('json');
+
+    context.log('some human log');
+    expect(errorSpy).toHaveBeenCalledWith('some human log');
+
+    context.recordAction('label_added', { issue: 1, label: 'foo' });
+    context.setResult('version', '1.0.0');
+    context.logError('something went wrong');
+    context.flushOutput();
+
+    expect(writeSpy).toHaveBeenCalledTimes(1);
+    const doc = JSON.parse(writeSpy.mock.calls[0][0]);
+    expect(doc).toEqual({
+      command: 'supersetbot label foo',
+      success: false,
+      dryRun: false,
+      actions: [{ type: 'label_added', issue: 1, label: 'foo' }],
+      version: '1.0.0',
+      errors: ['something went wrong'],
+    });
+    expect(console.log).toBe(originalConsoleLog);
+  });
+
+  it('prints a result document for option errors', () => {
+    const { GITHUB_REPOSITORY } = process.env;
+    delete process.env.GITHUB_REPOSITORY;
+    const exitSpy = jest.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const command = new Command().option('--output <format>').option('--repo <repo>');
+    command.parse(['--output', 'json'], { from: 'user' });
+    const context = new Context('CLI');
+
+    try {
+      expect(() => context.processOptions(command, ['repo'])).toThrow('exit 1');
+    } finally {
+      exitSpy.mockRestore();
+      if (GITHUB_REPOSITORY !== undefined) {
+        process.env.GITHUB_REPOSITORY = GITHUB_REPOSITORY;
+      }
+    }
+    expect(JSON.parse(writeSpy.mock.calls[0][0]).errors).toEqual(['option [repo] is required']);
+    expect(console.log).toBe(originalConsoleLog);
+  });
+
+  it('flushes and restores console.log when exiting a comment-triggered command', () => {
+    const context = new Context('GHA');
+    context.setOutputFormat('json');
+    expect(() => context.exit(1)).toThrow(ContextExitError);
+    expect(writeSpy).toHaveBeenCalledTimes(1);
+    expect(console.log).toBe(originalConsoleLog);
+  });
+
+  it("doesn't print anything on flush in text mode", () => {
+    const context = new Context('CLI');
+    context.flushOutput();
+    expect(writeSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import toml from 'toml';
+
+import {
+  getInputFile, getPythonSpecifiers, normalizePackageName, parseRequirement,
+} from './python.js';
+import { mergeParsedRequirementsTree, parsePinnedRequirementsTree } from './utils.js';
+
+/*
+ * Helpers over the tree of pinned requirements built by parsePinnedRequirementsTree, where
+ * `deps` are the packages a package requires and `vias` the ones requiring it. A multi-line
+ * `# via` may also point to a requirements file, as a `-r <file>` node.
+ */
+
+function isRequirementsFile(name) {
+  return name.startsWith('-r ');
+}
+
+export async function readPinnedRequirementsTree({
+  reqsFiles, onlyBase = false, cwd = process.cwd(),
+}) {
+  // The first file is the base requirements file
+  const files = onlyBase ? reqsFiles.slice(0, 1) : reqsFiles;
+  const trees = await Promise.all(files.map(async (reqsFile) => {
+    let reqsData;
+    try {
+      reqsData = await fs.promises.readFile(path.join(cwd, reqsFile), 'utf8');
+    } catch (error) {
+      throw new Error(`couldn't read the pinned requirements file "${reqsFile}": ${error.code || error.message}`);
+    }
+    return parsePinnedRequirementsTree(reqsData);
+  }));
+  return trees.reduce(mergeParsedRequirementsTree, {});
+}
+
+export async function readTopLevelRequirements({ reqsFiles, cwd = process.cwd() }) {
+  // Names of the packages required directly, by pyproject.toml or the requirements input files
+  const names = new Set();
+  const pyprojectPath = path.join(cwd, 'pyproject.toml');
+  if (fs.existsSync(pyprojectPath)) {
+    const pyproject = toml.parse(await fs.promises.readFile(pyprojectPath, 'utf8'));
+    Object.keys(getPythonSpecifiers(pyproject)).forEach((name) => names.add(name));
+  }
+  const inputFiles = reqsFiles.map((reqsFile) => path.join(cwd, getInputFile(reqsFile)))
+    .filter((filePath) => fs.existsSync(filePath));
+  const contents = await Promise.all(inputFiles.map((filePath) => fs.promises.readFile(filePath, 'utf8')));
+  contents.flatMap((content) => content.split('\n'))
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter((line) => !!line && !line.startsWith('-'))
+    .map(parseRequirement)
+    .filter((req) => !!req)
+    .forEach(({ name }) => names.add(name));
+  return [...names];
+}
+
+export function getDescendants(tree, pkg, ancestors = []) {
+  // { name, version, deps: [...] } recursively, a dependency cycle stops at its first repeat
+  const { version = null, deps = [] } = tree[pkg] || {};
+  const node = { name: pkg, version, deps: [] };
+  if (!ancestors.includes(pkg)) {
+    node.deps = deps.map((dep) => getDescendants(tree, dep, [...ancestors, pkg]));
+  }
+  return node;
+}
+
+export function flattenDescendants(node) {
+  return [...new Set([node.name, ...node.deps.flatMap(flattenDescendants)])];
+}
+
+export function findRequirementPaths(tree, pkg, { maxPaths = 50 } = {}) {
+  // Paths from the package up to what requires it at the top: a package nothing else requires
+  // or a requirements file, ie: [['werkzeug', 'flask', 'apache-superset']]
+  const paths = [];
+  const walk = (current) => {
+    const name = current[current.length - 1];
+    const vias = (tree[name]?.vias || []).filter((via) => !current.includes(via));
+    if (vias.length === 0) {
+      paths.push(current.map((p) => (isRequirementsFile(p) ? p.slice(3) : p)));
+      return;
+    }
+    vias.forEach((via) => {
+      if (paths.length < maxPaths) {
+        walk([...current, via]);
+      }
+    });
+  };
+  if (tree[pkg]) {
+    walk([pkg]);
+  }
+  return paths;
+}
+
+export function listPins(tree) {
+  return Object.entries(tree)
+    .filter(([, { version }]) => !!version)
+    .map(([name, { version, vias }]) => ({ name, version, requiredBy: vias }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function findOrphans(tree, topLevel = []) {
+  // Pins nothing requires anymore, the top-level requirements excepted
+  const required = new Set(topLevel.map(normalizePackageName));
+  return listPins(tree)
+    .filter(({ name, requiredBy }) => requiredBy.length === 0
+      && !required.has(normalizePackageName(name)));
+}
+
+export function renderDescendants(node, level = 0) {
+  const version = node.version ? `==${node.version}` : '';
+  return [
+    `${'  '.repeat(level)}${node.name}${version}`,
+    ...node.deps.map((dep) => renderDescendants(dep, level + 1)),
+  ].join('\n');
+}
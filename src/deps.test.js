@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  findOrphans, findRequirementPaths, flattenDescendants, getDescendants, listPins,
+  readPinnedRequirementsTree, readTopLevelRequirements, renderDescendants,
+} from './deps.js';
+import { parsePinnedRequirementsTree } from './utils.js';
+
+const REQUIREMENTS = `
+-e file:.
+    # via -r requirements/base.in
+flask==2.2.5
+    # via
+    #   apache-superset
+    #   flask-appbuilder
+flask-appbuilder==4.4.1
+    # via apache-superset
+werkzeug==2.3.3
+    # via
+    #   flask
+    #   flask-appbuilder
+gunicorn==21.2.0
+    # via
+    #   -r requirements/base.in
+    #   apache-superset
+left-pad==1.0.0
+`;
+
+describe('deps', () => {
+  const tree = parsePinnedRequirementsTree(REQUIREMENTS);
+
+  it('walks the dependencies of a package', () => {
+    const descendants = getDescendants(tree, 'flask-appbuilder');
+    expect(renderDescendants(descendants)).toEqual([
+      'flask-appbuilder==4.4.1',
+      '  flask==2.2.5',
+      '    werkzeug==2.3.3',
+      '  werkzeug==2.3.3',
+    ].join('\n'));
+    expect(flattenDescendants(descendants)).toEqual(['flask-appbuilder', 'flask', 'werkzeug']);
+  });
+
+  it('stops at dependency cycles', () => {
+    const cyclic = {
+      a: { version: '1', deps: ['b'], vias: ['b'] },
+      b: { version: '2', deps: ['a'], vias: ['a'] },
+    };
+    expect(flattenDescendants(getDescendants(cyclic, 'a'))).toEqual(['a', 'b']);
+    expect(findRequirementPaths(cyclic, 'a')).toEqual([['a', 'b']]);
+  });
+
+  it('finds why a package is pinned', () => {
+    expect(findRequirementPaths(tree, 'werkzeug')).toEqual([
+      ['werkzeug', 'flask', 'apache-superset'],
+      ['werkzeug', 'flask', 'flask-appbuilder', 'apache-superset'],
+      ['werkzeug', 'flask-appbuilder', 'apache-superset'],
+    ]);
+    expect(findRequirementPaths(tree, 'gunicorn')).toEqual([
+      ['gunicorn', 'requirements/base.in'],
+      ['gunicorn', 'apache-superset'],
+    ]);
+  });
+
+  it('lists the pins', () => {
+    expect(listPins(tree).map(({ name, version }) => `${name}==${version}`)).toEqual([
+      'flask==2.2.5', 'flask-appbuilder==4.4.1', 'gunicorn==21.2.0', 'left-pad==1.0.0', 'werkzeug==2.3.3',
+    ]);
+  });
+
+  it('finds the pins nothing requires', () => {
+    expect(findOrphans(tree).map(({ name }) => name)).toEqual(['left-pad']);
+    expect(findOrphans(tree, ['Left_Pad'])).toEqual([]);
+  });
+});
+
+describe('reading requirements', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supersetbot-deps-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads pyproject.toml and the requirements input files', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'pyproject.toml'), [
+      '[project]',
+      'dependencies = ["Flask>=2.2.5, <3"]',
+      '[project.optional-dependencies]',
+      'postgres = ["psycopg2-binary==2.9.6"]',
+    ].join('\n'));
+    fs.mkdirSync(path.join(tmpDir, 'requirements'));
+    fs.writeFileSync(path.join(tmpDir, 'requirements', 'development.in'), '-r base.txt\n-e .[postgres]\npytest  # tests\n');
+    const names = await readTopLevelRequirements({
+      reqsFiles: ['requirements/base.txt', 'requirements/development.txt'], cwd: tmpDir,
+    });
+    expect(names).toEqual(['flask', 'psycopg2-binary', 'pytest']);
+  });
+
+  it('names the pinned requirements file it fails to read', async () => {
+    await expect(readPinnedRequirementsTree({ reqsFiles: ['requirements/base.txt'], cwd: tmpDir }))
+      .rejects.toThrow('couldn\'t read the pinned requirements file "requirements/base.txt": ENOENT');
+  });
+});
@@ -1,45 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+
+import simpleGit from 'simple-git';
+
 import * as utils from './utils.js';
+import {
+  DOCKER_REPO, BASE_PY_IMAGE, MAIN_BRANCH, DOCKER_PRESETS, DOCKER_PLATFORMS, DOCKER_LICENSES,
+} from './metadata.js';
+
+// Rendered commands get one flag per line
+const CONTINUATION = ' \\\n      ';
+
+export const CACHE_BACKENDS = ['registry', 'gha', 'local', 'none'];
+export const DEFAULT_CACHE_DIR = '.buildx-cache';
+
+const PRESET_DEFAULTS = {
+  target: null,
+  pyVer: null,
+  context: '.',
+  dockerfile: null,
+  buildArgs: {},
+  platforms: DOCKER_PLATFORMS,
+  // Build contexts (push, pull_request, release, local) the preset is built in, null means all
+  contexts: null,
+  // Build contexts in which SBOM and provenance attestations are attached to pushed images
+  sbom: ['release'],
+  provenance: ['release'],
+};
+
+export function getDockerPresets(extraPresets = {}) {
+  // Presets from the config are merged onto the built-in ones, so they can be tweaked or added
+  const names = new Set([...Object.keys(DOCKER_PRESETS), ...Object.keys(extraPresets || {})]);
+  return Object.fromEntries([...names].map((name) => [name, {
+    ...PRESET_DEFAULTS,
+    tagSuffix: name,
+    ...DOCKER_PRESETS[name],
+    ...extraPresets?.[name],
+  }]));
+}
 
-const REPO = 'viveksingh27/bi-superset';
-const CACHE_REPO = `${REPO}-cache`;
-const BASE_PY_IMAGE = '3.10-slim-bookworm';
+export function resolveDockerPreset(name, presets = getDockerPresets()) {
+  if (presets[name]) {
+    return { name, ...presets[name] };
+  }
+  // Any "pyXY" preset is a lean build on top of python X.Y, ie: "py312"
+  const match = (name || '').match(/^py(\d)(\d+)$/);
+  if (match && presets.lean) {
+    return {
+      ...presets.lean, name, tagSuffix: name, pyVer: `${match[1]}.${match[2]}-slim-bookworm`,
+    };
+  }
+  return null;
+}
 
-async function getGitSha() {
-  const { stdout } = await utils.runShellCommand({ command: 'git rev-parse HEAD', raiseOnError: true });
-  return stdout.trim();
+export async function getGitSha() {
+  // Quietly, unlike spawnCommand: stdout may be reserved for the output, ie: docker matrix
+  const sha = await simpleGit().revparse(['HEAD']);
+  return sha.trim();
 }
 
-function getBuildContextRef(buildContext) {
+export function toTagRef(ref) {
+  // Branch names turned into something usable in a docker tag
+  return ref.replace(/[^a-zA-Z0-9]/g, '-').slice(0, 40);
+}
+
+export function getBuildContextRef(buildContext) {
   const event = buildContext || process.env.GITHUB_EVENT_NAME;
   const githubRef = process.env.GITHUB_REF || '';
 
   if (event === 'pull_request') {
-    const githubHeadRef = process.env.GITHUB_HEAD_REF || '';
-    return githubHeadRef.replace(/[^a-zA-Z0-9]/g, '-').slice(0, 40);
+    return toTagRef(process.env.GITHUB_HEAD_REF || '');
   } if (event === 'release') {
     return githubRef.replace('refs/tags/', '').slice(0, 40);
   } if (event === 'push') {
-    return githubRef.replace('refs/heads/', '').replace(/[^a-zA-Z0-9]/g, '-').slice(0, 40);
+    return toTagRef(githubRef.replace('refs/heads/', ''));
   }
   return '';
 }
 
-function makeDockerTag(parts) {
-  return `${REPO}:${parts.filter((part) => part).join('-')}`;
+const REGISTRY_DEFAULTS = {
+  // Env var holding the registry's credentials, images are only pushed where it's set
+  authEnv: 'DOCKERHUB_TOKEN',
+  // Regex matched against the tag (without the repo) to only publish some of the tags
+  tagFilter: null,
+  // Presets published to this registry, null means all
+  presets: null,
+};
+
+export function getDockerRegistries({ repo = DOCKER_REPO, registries = null, preset = null } = {}) {
+  // Without configured registries, everything goes to `repo`, on Docker Hub
+  const list = registries?.length ? registries : [{ repo }];
+  return list
+    .map((registry) => ({ ...REGISTRY_DEFAULTS, cacheRepo: `${registry.repo}-cache`, ...registry }))
+    .filter((registry) => !preset || !registry.presets || registry.presets.includes(preset));
+}
+
+export function isRegistryAuthenticated(registry) {
+  return !!process.env[registry.authEnv];
 }
 
 export function getDockerTags({
   preset, platforms, sha, buildContext, buildContextRef, forceLatest = false, latestRelease = null,
+  repo = DOCKER_REPO, mainBranch = MAIN_BRANCH, presets = getDockerPresets(), registries = null,
 }) {
-  const tags = new Set();
+  const tagNames = new Set();
   const tagChunks = [];
+  const addTag = (parts) => tagNames.add(parts.filter((part) => part).join('-'));
+  const tagSuffix = resolveDockerPreset(preset, presets)?.tagSuffix ?? preset;
   const currentRelease = buildContext === 'release' ? buildContextRef : null;
   const isLatest = currentRelease && latestRelease
     ? utils.compareSemVer(latestRelease, currentRelease) >= 0
     : false;
 
-  if (preset !== 'lean') {
-    tagChunks.push(preset);
+  if (tagSuffix) {
+    tagChunks.push(tagSuffix);
   }
 
   if (platforms.length === 1) {
@@ -50,91 +124,552 @@ export function getDockerTags({
     }
   }
 
-  tags.add(makeDockerTag([sha, ...tagChunks]));
-  tags.add(makeDockerTag([sha.slice(0, 7), ...tagChunks]));
+  addTag([sha, ...tagChunks]);
+  addTag([sha.slice(0, 7), ...tagChunks]);
 
   if (buildContext === 'release') {
-    tags.add(makeDockerTag([buildContextRef, ...tagChunks]));
-  } else if (buildContext === 'push' && buildContextRef === 'master') {
-    tags.add(makeDockerTag(['master', ...tagChunks]));
+    addTag([buildContextRef, ...tagChunks]);
+  } else if (buildContext === 'push' && buildContextRef === mainBranch) {
+    addTag([mainBranch, ...tagChunks]);
   } else if (buildContext === 'pull_request') {
-    tags.add(makeDockerTag([`pr-${buildContextRef}`, ...tagChunks]));
+    addTag([`pr-${buildContextRef}`, ...tagChunks]);
   }
   if (isLatest || forceLatest) {
-    console.log(`Tags: ${[...tags].join(', ')}`);
-    tags.add(makeDockerTag(['latest', ...tagChunks]));
-    console.log('MAKE', makeDockerTag(['latest', ...tagChunks]));
+    addTag(['latest', ...tagChunks]);
+  }
+
+  return getDockerRegistries({ repo, registries, preset }).flatMap((registry) => [...tagNames]
+    .filter((name) => !registry.tagFilter || new RegExp(registry.tagFilter).test(name))
+    .map((name) => `${registry.repo}:${name}`));
+}
+
+export function getDockerMatrix({
+  presets = getDockerPresets(), buildContext, buildContextRef, sha, forceLatest = false,
+  latestRelease = null, repo = DOCKER_REPO, mainBranch = MAIN_BRANCH, presetNames = null,
+  platforms = null, registries = null,
+}) {
+  // Generates a GitHub Actions matrix, one cell per preset/platform
+  const include = [];
+  Object.entries(presets)
+    .filter(([name]) => !presetNames || presetNames.includes(name))
+    .filter(([, preset]) => !preset.contexts || preset.contexts.includes(buildContext))
+    .forEach(([name, preset]) => {
+      preset.platforms
+        .filter((platform) => !platforms || platforms.includes(platform))
+        .forEach((platform) => {
+          include.push({
+            preset: name,
+            platform,
+            tags: getDockerTags({
+              preset: name,
+              platforms: [platform],
+              sha,
+              buildContext,
+              buildContextRef,
+              forceLatest,
+              latestRelease,
+              repo,
+              mainBranch,
+              presets,
+              registries,
+            }),
+          });
+        });
+    });
+  return { include };
+}
+
+export function getOciAnnotations({
+  sourceUrl = null, sha, version = null, created = null, licenses = DOCKER_LICENSES,
+}) {
+  // Standard org.opencontainers.image.* keys, used both as labels and manifest annotations
+  let source = sourceUrl;
+  if (!source && process.env.GITHUB_REPOSITORY) {
+    source = `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY}`;
+  }
+  let createdAt = created;
+  if (!createdAt) {
+    // Honoring SOURCE_DATE_EPOCH keeps builds reproducible
+    const epoch = process.env.SOURCE_DATE_EPOCH;
+    createdAt = (epoch ? new Date(Number(epoch) * 1000) : new Date()).toISOString();
+  }
+  return Object.fromEntries(Object.entries({
+    source,
+    revision: sha,
+    version,
+    created: createdAt,
+    licenses,
+  }).filter(([, v]) => v).map(([k, v]) => [`org.opencontainers.image.${k}`, v]));
+}
+
+export function getDockerCache({
+  cache = 'registry', cacheDir = DEFAULT_CACHE_DIR, registries, preset, pyVer,
+}) {
+  // GHA and local caches are scoped per preset and python version so builds don't evict each
+  // other, registry caches are shared by presets on the same python version (mode=max keeps
+  // all stages) and only written to where we can push
+  const scope = `${preset}-${pyVer}`;
+  if (cache === 'none') {
+    return { cacheFrom: [], cacheTo: [] };
+  }
+  if (cache === 'gha') {
+    return {
+      cacheFrom: [`type=gha,scope=${scope}`],
+      cacheTo: [`type=gha,mode=max,scope=${scope}`],
+    };
   }
+  if (cache === 'local') {
+    const dir = path.join(cacheDir, scope);
+    return {
+      cacheFrom: [`type=local,src=${dir}`],
+      cacheTo: [`type=local,mode=max,dest=${dir}`],
+    };
+  }
+  return {
+    cacheFrom: registries.map((registry) => `type=registry,ref=${registry.cacheRepo}:${pyVer}`),
+    cacheTo: registries
+      .filter((registry) => registry.push)
+      .map((registry) => `type=registry,mode=max,ref=${registry.cacheRepo}:${pyVer}`),
+  };
+}
 
-  return [...tags];
+function getDockerOutputs({ registries, pushByDigest }) {
+  if (pushByDigest) {
+    // Untagged per-platform image, pushed by digest to the first registry so it can be merged
+    // into a manifest later
+    return [`type=image,name=${registries[0].repo},push-by-digest=true,name-canonical=true,push=true`];
+  }
+  const pushedTags = registries.filter((r) => r.push).flatMap((r) => r.tags);
+  const loadedTags = registries.filter((r) => !r.push).flatMap((r) => r.tags);
+  if (!pushedTags.length || !loadedTags.length) {
+    // Plain --push or --load does the job
+    return [];
+  }
+  return [
+    `type=image,"name=${pushedTags.join(',')}",push=true`,
+    `type=docker,"name=${loadedTags.join(',')}"`,
+  ];
 }
 
-export async function getDockerCommand({
+export async function getDockerBuildSpec({
   preset, platform, buildContext, buildContextRef, forceLatest = false, latestRelease = null,
-  extraFlags = '',
+  repo = DOCKER_REPO, basePyImage = BASE_PY_IMAGE, mainBranch = MAIN_BRANCH,
+  presets = getDockerPresets(), sha = null, pushByDigest = false, digestFile = null,
+  registries = null, cache = 'registry', cacheDir = DEFAULT_CACHE_DIR,
+  licenses = DOCKER_LICENSES, sourceUrl = null, created = null,
 }) {
+  // Describes a build in a structured way, so it can be rendered as a command or a bake target
   const platforms = platform;
 
-  let buildTarget = '';
-  let pyVer = BASE_PY_IMAGE;
-  let dockerContext = '.';
-
-  if (preset === 'dev') {
-    buildTarget = 'dev';
-  } else if (preset === 'lean') {
-    buildTarget = 'lean';
-  } else if (preset === 'py310') {
-    buildTarget = 'lean';
-    pyVer = '3.10-slim-bookworm';
-  } else if (preset === 'py311') {
-    buildTarget = 'lean';
-    pyVer = '3.11-slim-bookworm';
-  } else if (preset === 'websocket') {
-    dockerContext = 'superset-websocket';
-  } else if (preset === 'ci') {
-    buildTarget = 'ci';
-  } else if (preset === 'dockerize') {
-    dockerContext = '-f dockerize.Dockerfile .';
-  } else {
+  const presetConfig = resolveDockerPreset(preset, presets);
+  if (!presetConfig) {
     console.error(`Invalid build preset: ${preset}`);
     process.exit(1);
   }
+  const invalidPlatforms = platforms.filter((p) => !presetConfig.platforms.includes(p));
+  if (invalidPlatforms.length) {
+    const allowed = presetConfig.platforms.join(', ');
+    console.error(`Platform(s) ${invalidPlatforms.join(', ')} not allowed for preset "${preset}", expected: ${allowed}`);
+    process.exit(1);
+  }
+  if (!CACHE_BACKENDS.includes(cache)) {
+    console.error(`Invalid cache backend: ${cache}, expected one of: ${CACHE_BACKENDS.join(', ')}`);
+    process.exit(1);
+  }
+  if (pushByDigest && platforms.length !== 1) {
+    console.error('Pushing by digest requires a single --platform, merge them with `docker manifest`');
+    process.exit(1);
+  }
+
+  const buildTarget = presetConfig.target || '';
+  const pyVer = presetConfig.pyVer || basePyImage;
 
   let ref = buildContextRef;
   if (!ref) {
     ref = getBuildContextRef(buildContext);
   }
-  const sha = await getGitSha();
-  const tags = getDockerTags({
-    preset, platforms, sha, buildContext, buildContextRef: ref, forceLatest, latestRelease,
-  }).map((tag) => `-t ${tag}`).join(' \\\n        ');
-  const isAuthenticated = !!(process.env.DOCKERHUB_TOKEN);
-
-  const dockerArgs = isAuthenticated ? '--push' : '--load';
-  const targetArgument = buildTarget ? `--target ${buildTarget}` : '';
-  const cacheRef = `${CACHE_REPO}:${pyVer}`;
-  const platformArg = `--platform ${platforms.join(',')}`;
-  const cacheFromArg = `--cache-from=type=registry,ref=${cacheRef}`;
-  const cacheToArg = isAuthenticated ? `--cache-to=type=registry,mode=max,ref=${cacheRef}` : '';
-  const buildArg = pyVer ? `--build-arg PY_VER=${pyVer}` : '';
-  const actor = process.env.GITHUB_ACTOR;
-  const versionLabel = buildContext === 'release' ? `--label version=${buildContextRef}` : '';
-
-  return `docker buildx build \\
-      ${dockerArgs} \\
-      ${tags} \\
-      ${cacheFromArg} \\
-      ${cacheToArg} \\
-      ${targetArgument} \\
-      ${buildArg} \\
-      ${platformArg} \\
-      --label sha=${sha} \\
-      --label target=${buildTarget} \\
-      --label build_trigger=${ref} \\
-      --label base=${pyVer} \\
-      --label build_actor=${actor} \\
-      ${versionLabel} \\
-      ${extraFlags} \\
-      ${dockerContext}
-  `;
+  const buildSha = sha || await getGitSha();
+  const targetRegistries = getDockerRegistries({ repo, registries, preset }).map((registry) => {
+    const push = isRegistryAuthenticated(registry);
+    return {
+      repo: registry.repo,
+      cacheRepo: registry.cacheRepo,
+      tags: getDockerTags({
+        preset,
+        platforms,
+        sha: buildSha,
+        buildContext,
+        buildContextRef: ref,
+        forceLatest,
+        latestRelease,
+        mainBranch,
+        presets,
+        registries: [registry],
+      }),
+      push,
+    };
+  });
+  if (targetRegistries.length === 0) {
+    console.error(`No registry configured for preset "${preset}"`);
+    process.exit(1);
+  }
+  const tags = targetRegistries.flatMap((registry) => registry.tags);
+  const pushed = targetRegistries.filter((registry) => registry.push);
+  const { cacheFrom, cacheTo } = getDockerCache({
+    cache, cacheDir, registries: targetRegistries, preset, pyVer,
+  });
+
+  const buildArgs = Object.fromEntries(
+    Object.entries({ PY_VER: pyVer, ...presetConfig.buildArgs }).filter(([, v]) => v),
+  );
+  const labels = {
+    sha: buildSha,
+    target: buildTarget,
+    build_trigger: ref,
+    base: pyVer,
+    build_actor: process.env.GITHUB_ACTOR,
+  };
+  if (buildContext === 'release') {
+    labels.version = buildContextRef;
+  }
+  const annotations = getOciAnnotations({
+    sourceUrl,
+    sha: buildSha,
+    version: buildContext === 'release' ? buildContextRef : null,
+    created,
+    licenses,
+  });
+
+  return {
+    preset,
+    tags,
+    sha: buildSha,
+    ref,
+    platforms,
+    target: buildTarget,
+    pyVer,
+    buildArgs,
+    labels: { ...labels, ...annotations },
+    annotations,
+    attestations: {
+      sbom: presetConfig.sbom.includes(buildContext),
+      provenance: presetConfig.provenance.includes(buildContext),
+    },
+    context: presetConfig.context,
+    dockerfile: presetConfig.dockerfile,
+    registries: targetRegistries,
+    cacheFrom,
+    cacheTo,
+    push: pushed.length > 0,
+    output: getDockerOutputs({ registries: targetRegistries, pushByDigest }),
+    digestFile,
+  };
+}
+
+function isPushed(spec) {
+  return spec.push || spec.output.length > 0;
+}
+
+function getAttestationFlags(spec) {
+  // Annotations and attestations only make it into the registry, the docker exporter used by
+  // --load doesn't support them
+  if (!isPushed(spec)) {
+    return [];
+  }
+  return [
+    ...Object.entries(spec.annotations).map(([k, v]) => ['--annotation', `${k}=${v}`]),
+    ...(spec.attestations.sbom ? ['--sbom=true'] : []),
+    `--provenance=${spec.attestations.provenance ? 'mode=max' : 'false'}`,
+  ];
+}
+
+function splitFlags(extraFlags) {
+  return (extraFlags || '').split(/\s+/).filter((flag) => !!flag);
+}
+
+function getDockerCommandArgGroups(spec, extraFlags) {
+  const hasOutput = spec.output.length > 0;
+  const extraArgs = splitFlags(extraFlags);
+  return [
+    ['docker', 'buildx', 'build'],
+    ...(hasOutput ? spec.output.map((output) => `--output=${output}`) : [spec.push ? '--push' : '--load']),
+    ...(hasOutput ? [] : spec.tags.map((tag) => ['-t', tag])),
+    ...(spec.digestFile ? [['--metadata-file', spec.digestFile]] : []),
+    ...spec.cacheFrom.map((cache) => `--cache-from=${cache}`),
+    ...spec.cacheTo.map((cache) => `--cache-to=${cache}`),
+    ...(spec.target ? [['--target', spec.target]] : []),
+    ...Object.entries(spec.buildArgs).map(([k, v]) => ['--build-arg', `${k}=${v}`]),
+    ['--platform', spec.platforms.join(',')],
+    ...Object.entries(spec.labels).map(([k, v]) => ['--label', `${k}=${v}`]),
+    ...getAttestationFlags(spec),
+    ...(extraArgs.length ? [extraArgs] : []),
+    ...(spec.dockerfile ? [['-f', spec.dockerfile]] : []),
+    spec.context,
+  ];
+}
+
+export function getDockerCommandArgv(spec, extraFlags = '') {
+  return getDockerCommandArgGroups(spec, extraFlags).flat();
+}
+
+export function renderDockerCommand(spec, extraFlags = '') {
+  return `${utils.formatCommand(getDockerCommandArgGroups(spec, extraFlags), CONTINUATION)}\n`;
+}
+
+export function getDockerBakeDefinition(specs) {
+  // See https://docs.docker.com/build/bake/reference/ for the JSON format
+  const target = {};
+  specs.forEach((spec) => {
+    target[spec.preset] = {
+      context: spec.context,
+      ...(spec.dockerfile ? { dockerfile: spec.dockerfile } : {}),
+      ...(spec.target ? { target: spec.target } : {}),
+      tags: spec.tags,
+      labels: spec.labels,
+      args: spec.buildArgs,
+      platforms: spec.platforms,
+      'cache-from': spec.cacheFrom,
+      'cache-to': spec.cacheTo,
+      ...(spec.output.length ? { output: spec.output } : {}),
+      ...(isPushed(spec) ? {
+        annotations: Object.entries(spec.annotations).map(([k, v]) => `${k}=${v}`),
+        attest: [
+          ...(spec.attestations.sbom ? ['type=sbom'] : []),
+          spec.attestations.provenance ? 'type=provenance,mode=max' : 'type=provenance,disabled=true',
+        ],
+      } : {}),
+    };
+  });
+  return {
+    group: { default: { targets: Object.keys(target) } },
+    target,
+  };
+}
+
+export function getDockerBakeArgv({
+  bakeFile, push, extraFlags = '', hasOutputs = false,
+}) {
+  // --push/--load would override the targets' own outputs
+  let outputFlags = [push ? '--push' : '--load'];
+  if (hasOutputs) {
+    outputFlags = [];
+  }
+  return ['docker', 'buildx', 'bake', '-f', bakeFile, ...outputFlags, ...splitFlags(extraFlags)];
+}
+
+export function renderDockerBakeCommand(options) {
+  return utils.formatCommand(getDockerBakeArgv(options));
+}
+
+export function parseDigest(content) {
+  // Accepts either a raw digest or a buildx metadata file (--metadata-file)
+  let digest = content.trim();
+  try {
+    digest = JSON.parse(content)['containerimage.digest'] || '';
+  } catch (error) {
+    // not JSON, assuming a raw digest
+  }
+  const match = digest.match(/^sha256:[a-f0-9]{64}$/);
+  return match ? match[0] : null;
+}
+
+function getImagetoolsArgGroups({
+  tags, repo = DOCKER_REPO, digests, annotations = {},
+}) {
+  return [
+    ['docker', 'buildx', 'imagetools', 'create'],
+    ...tags.map((tag) => ['-t', tag]),
+    ...Object.entries(annotations).map(([k, v]) => ['--annotation', `index:${k}=${v}`]),
+    ...digests.map((digest) => `${repo}@${digest}`),
+  ];
+}
+
+export function getImagetoolsArgv(options) {
+  return getImagetoolsArgGroups(options).flat();
+}
+
+export function renderImagetoolsCommand(options) {
+  return utils.formatCommand(getImagetoolsArgGroups(options), CONTINUATION);
+}
+
+export function getDockerBuildOutputs(spec) {
+  // What later workflow steps (deploys, scans, ...) need to know about the build
+  return {
+    tags: spec.tags,
+    primaryTag: spec.tags[0],
+    labels: spec.labels,
+    platforms: spec.platforms,
+    latest: spec.tags.some((tag) => /:latest(-|$)/.test(tag)),
+  };
+}
+
+export function formatDockerBuildOutputs(outputs) {
+  // Flattened for $GITHUB_OUTPUT, the JSON document is there too for anything more involved
+  return {
+    tags: outputs.tags.join('\n'),
+    'primary-tag': outputs.primaryTag,
+    labels: Object.entries(outputs.labels).map(([k, v]) => `${k}=${v}`).join('\n'),
+    platforms: outputs.platforms.join(','),
+    latest: String(outputs.latest),
+    metadata: JSON.stringify(outputs),
+  };
+}
+
+export function parseDockerfile(content) {
+  // Static and minimal: stage names (`FROM ... AS <name>`) and declared ARGs, wherever they are
+  const stages = [];
+  const args = new Set();
+  content
+    .replace(/\\\r?\n/g, ' ')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .forEach((line) => {
+      const [instruction, ...rest] = line.split(/\s+/);
+      if (instruction.toUpperCase() === 'FROM') {
+        const match = line.match(/\sAS\s+(\S+)\s*$/i);
+        if (match) {
+          stages.push(match[1]);
+        }
+      } else if (instruction.toUpperCase() === 'ARG') {
+        rest.forEach((arg) => args.add(arg.split('=')[0]));
+      }
+    });
+  return { stages, args: [...args] };
+}
+
+export function getDockerfilePath(preset, cwd = process.cwd()) {
+  // Like buildx, -f is relative to the working directory while the default is in the context
+  return preset.dockerfile
+    ? path.join(cwd, preset.dockerfile)
+    : path.join(cwd, preset.context, 'Dockerfile');
+}
+
+export function validateDockerPresets({
+  presets = getDockerPresets(), presetNames = null, basePyImage = BASE_PY_IMAGE,
+  cwd = process.cwd(),
+}) {
+  // Returns every problem found, so they can all be fixed at once
+  const errors = [];
+  const dockerfiles = {};
+  (presetNames || Object.keys(presets)).forEach((name) => {
+    const preset = resolveDockerPreset(name, presets);
+    if (!preset) {
+      errors.push(`preset "${name}": unknown preset`);
+      return;
+    }
+    const dockerfilePath = getDockerfilePath(preset, cwd);
+    const relativePath = path.relative(cwd, dockerfilePath);
+    if (!(dockerfilePath in dockerfiles)) {
+      dockerfiles[dockerfilePath] = fs.existsSync(dockerfilePath)
+        ? parseDockerfile(fs.readFileSync(dockerfilePath, 'utf8'))
+        : null;
+    }
+    const dockerfile = dockerfiles[dockerfilePath];
+    if (!dockerfile) {
+      errors.push(`preset "${name}": ${relativePath} doesn't exist`);
+      return;
+    }
+    if (preset.target && !dockerfile.stages.includes(preset.target)) {
+      const stages = dockerfile.stages.join(', ') || 'none';
+      errors.push(`preset "${name}": target "${preset.target}" isn't a stage of ${relativePath} (stages: ${stages})`);
+    }
+    // Same build args as getDockerBuildSpec passes. The default PY_VER is passed to every preset
+    // and buildx only warns about unused args, so target-less Dockerfiles may not declare it
+    const buildArgs = { PY_VER: preset.pyVer || basePyImage, ...preset.buildArgs };
+    const optionalArgs = preset.pyVer || preset.buildArgs?.PY_VER ? [] : ['PY_VER'];
+    Object.entries(buildArgs)
+      .filter(([arg, value]) => value && !optionalArgs.includes(arg))
+      .filter(([arg]) => !dockerfile.args.includes(arg))
+      .forEach(([arg]) => {
+        errors.push(`preset "${name}": build arg "${arg}" isn't declared in ${relativePath}`);
+      });
+  });
+  return errors;
+}
+
+export async function getDockerBuild({ extraFlags = '', ...options }) {
+  const spec = await getDockerBuildSpec(options);
+  return {
+    command: renderDockerCommand(spec, extraFlags),
+    argv: getDockerCommandArgv(spec, extraFlags),
+    ...spec,
+  };
+}
+
+export async function getDockerCommand(options) {
+  const { command } = await getDockerBuild(options);
+  return command;
+}
+
+export function normalizeTagListing(listing) {
+  // Accepts a list of tag names, or tag objects from the Docker Hub API (or an export of it)
+  const tags = Array.isArray(listing) ? listing : listing?.results;
+  if (!Array.isArray(tags)) {
+    throw new Error('expected a list of tags, or an object with a "results" list of tags');
+  }
+  return tags.map((tag) => (typeof tag === 'string'
+    ? { name: tag, lastUpdated: null, digest: null }
+    : { name: tag.name, lastUpdated: tag.last_updated || null, digest: tag.digest || null }));
+}
+
+export function planDockerTagPruning({
+  tags, openPullRequests = [], keepShas = 10, mainBranch = MAIN_BRANCH,
+}) {
+  // Only pr-* and SHA tags, the ones getDockerTags generates for every build, are ever deleted
+  if (!Number.isInteger(keepShas) || keepShas < 0) {
+    throw new Error(`keepShas should be a non-negative integer, got ${keepShas}`);
+  }
+  const withSuffix = (prefix) => new RegExp(`^${prefix}(-|$)`);
+  const protectedTags = [
+    [withSuffix('latest'), 'latest'],
+    [withSuffix(mainBranch), 'main branch'],
+    [/^\d+\.\d+\.\d+/, 'release'],
+  ];
+  const getProtectedReason = (name) => protectedTags.find(([regex]) => regex.test(name))?.[1];
+  const shaRegex = /^([0-9a-f]{7}|[0-9a-f]{40})(-|$)/;
+  const protectedDigests = new Map(tags
+    .filter((tag) => tag.digest && getProtectedReason(tag.name))
+    .map((tag) => [tag.digest, tag.name]));
+
+  // SHAs ordered from the most recently pushed, the listing order breaks ties
+  const shaUpdatedAt = new Map();
+  tags.filter((tag) => shaRegex.test(tag.name)).forEach((tag) => {
+    const sha = tag.name.slice(0, 7);
+    const updatedAt = tag.lastUpdated || '';
+    if (!shaUpdatedAt.has(sha) || updatedAt > shaUpdatedAt.get(sha)) {
+      shaUpdatedAt.set(sha, updatedAt);
+    }
+  });
+  const recentShas = new Set([...shaUpdatedAt.entries()]
+    .sort(([, a], [, b]) => (b > a) - (b < a))
+    .slice(0, keepShas)
+    .map(([sha]) => sha));
+
+  const keep = [];
+  const remove = [];
+  tags.forEach(({ name, digest }) => {
+    const protectedReason = getProtectedReason(name);
+    if (protectedReason) {
+      keep.push({ tag: name, reason: protectedReason });
+    } else if (name.startsWith('pr-')) {
+      const openRef = openPullRequests.find((ref) => withSuffix(`pr-${ref}`).test(name));
+      if (openRef) {
+        keep.push({ tag: name, reason: `open PR ${openRef}` });
+      } else {
+        remove.push({ tag: name, reason: 'PR is closed' });
+      }
+    } else if (shaRegex.test(name)) {
+      if (protectedDigests.has(digest)) {
+        keep.push({ tag: name, reason: `same image as ${protectedDigests.get(digest)}` });
+      } else if (recentShas.has(name.slice(0, 7))) {
+        keep.push({ tag: name, reason: `one of the ${keepShas} most recent SHAs` });
+      } else {
+        remove.push({ tag: name, reason: `older than the ${keepShas} most recent SHAs` });
+      }
+    } else {
+      keep.push({ tag: name, reason: 'not generated by supersetbot' });
+    }
+  });
+  return { keep, delete: remove };
 }
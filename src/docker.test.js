@@ -1,3 +1,7 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
 import { jest } from '@jest/globals';
 import * as dockerUtils from './docker.js';
 
@@ -270,3 +274,409 @@ describe('getDockerCommand', () => {
     });
   });
 });
+
+describe('resolveDockerPreset', () => {
+  test('resolves built-in presets with defaults', () => {
+    const preset = dockerUtils.resolveDockerPreset('dev');
+    expect(preset).toEqual(expect.objectContaining({
+      name: 'dev', target: 'dev', tagSuffix: 'dev', context: '.', dockerfile: null,
+    }));
+    expect(dockerUtils.resolveDockerPreset('lean').tagSuffix).toEqual('');
+  });
+
+  test('derives pyXY presets from lean', () => {
+    expect(dockerUtils.resolveDockerPreset('py312')).toEqual(expect.objectContaining({
+      name: 'py312', target: 'lean', tagSuffix: 'py312', pyVer: '3.12-slim-bookworm',
+    }));
+  });
+
+  test('returns null for unknown presets', () => {
+    expect(dockerUtils.resolveDockerPreset('nope')).toBeNull();
+  });
+
+  test('merges presets from the config', () => {
+    const presets = dockerUtils.getDockerPresets({
+      dev: { platforms: ['linux/amd64'] },
+      custom: { target: 'lean', buildArgs: { FOO: 'bar' } },
+    });
+    expect(presets.dev).toEqual(expect.objectContaining({ target: 'dev', platforms: ['linux/amd64'] }));
+    expect(dockerUtils.resolveDockerPreset('custom', presets)).toEqual(expect.objectContaining({
+      target: 'lean', tagSuffix: 'custom', buildArgs: { FOO: 'bar' },
+    }));
+  });
+});
+
+describe('getDockerMatrix', () => {
+  const presets = dockerUtils.getDockerPresets({
+    dev: { platforms: ['linux/amd64'] },
+    py311: { contexts: ['release'] },
+  });
+
+  test('generates a cell per preset and platform', () => {
+    const matrix = dockerUtils.getDockerMatrix({
+      presets, buildContext: 'pull_request', buildContextRef: PR_ID, sha: SHA, presetNames: ['lean', 'dev'], repo: REPO,
+    });
+    expect(matrix.include).toEqual([
+      { preset: 'lean', platform: 'linux/amd64', tags: [`${REPO}:${SHA}`, `${REPO}:22e7c60`, `${REPO}:pr-${PR_ID}`] },
+      { preset: 'lean', platform: 'linux/arm64', tags: [`${REPO}:${SHA}-arm`, `${REPO}:22e7c60-arm`, `${REPO}:pr-${PR_ID}-arm`] },
+      { preset: 'dev', platform: 'linux/amd64', tags: [`${REPO}:${SHA}-dev`, `${REPO}:22e7c60-dev`, `${REPO}:pr-${PR_ID}-dev`] },
+    ]);
+  });
+
+  test('filters presets by build context and platform', () => {
+    const forPR = dockerUtils.getDockerMatrix({
+      presets, buildContext: 'pull_request', buildContextRef: PR_ID, sha: SHA, platforms: ['linux/amd64'],
+    });
+    expect(forPR.include.map((c) => c.preset)).not.toContain('py311');
+    expect(forPR.include.every((c) => c.platform === 'linux/amd64')).toBe(true);
+
+    const forRelease = dockerUtils.getDockerMatrix({
+      presets, buildContext: 'release', buildContextRef: NEW_REL, sha: SHA, latestRelease: NEW_REL, repo: REPO,
+    });
+    const py311 = forRelease.include.filter((c) => c.preset === 'py311');
+    expect(py311).toHaveLength(2);
+    expect(py311[0].tags).toContain(`${REPO}:latest-py311`);
+  });
+});
+
+describe('getDockerBakeDefinition', () => {
+  test('turns build specs into bake targets', async () => {
+    const specs = await Promise.all(['dev', 'dockerize'].map((preset) => dockerUtils.getDockerBuildSpec({
+      preset, platform: ['linux/amd64'], buildContext: 'push', buildContextRef: 'master', sha: SHA, repo: REPO,
+    })));
+    const bake = dockerUtils.getDockerBakeDefinition(specs);
+    expect(bake.group.default.targets).toEqual(['dev', 'dockerize']);
+    expect(bake.target.dev).toEqual(expect.objectContaining({
+      context: '.',
+      target: 'dev',
+      platforms: ['linux/amd64'],
+      args: expect.objectContaining({ PY_VER: expect.any(String) }),
+      labels: expect.objectContaining({ sha: SHA, build_trigger: 'master' }),
+      'cache-from': [expect.stringContaining(`type=registry,ref=${REPO}-cache:`)],
+    }));
+    expect(bake.target.dev.tags).toContain(`${REPO}:master-dev`);
+    expect(bake.target.dockerize).toEqual(expect.objectContaining({ dockerfile: 'dockerize.Dockerfile' }));
+    expect(bake.target.dockerize.target).toBeUndefined();
+  });
+
+  test('renders the bake command', () => {
+    expect(dockerUtils.renderDockerBakeCommand({ bakeFile: 'bake.json', push: true }))
+      .toEqual('docker buildx bake -f bake.json --push');
+  });
+});
+
+describe('push by digest', () => {
+  const DIGEST = `sha256:${'a'.repeat(64)}`;
+
+  test('builds an untagged single-platform image', async () => {
+    const { command } = await dockerUtils.getDockerBuild({
+      preset: 'lean',
+      platform: ['linux/arm64'],
+      buildContext: 'push',
+      buildContextRef: 'master',
+      sha: SHA,
+      repo: REPO,
+      pushByDigest: true,
+      digestFile: 'digest.json',
+    });
+    expect(command).toContain(`--output=type=image,name=${REPO},push-by-digest=true,name-canonical=true,push=true`);
+    expect(command).toContain('--metadata-file digest.json');
+    expect(command).not.toContain(' -t ');
+    expect(command).not.toContain('--load');
+  });
+
+  test('reads digests from raw values and buildx metadata', () => {
+    expect(dockerUtils.parseDigest(`${DIGEST}\n`)).toEqual(DIGEST);
+    expect(dockerUtils.parseDigest(JSON.stringify({ 'containerimage.digest': DIGEST }))).toEqual(DIGEST);
+    expect(dockerUtils.parseDigest('{}')).toBeNull();
+    expect(dockerUtils.parseDigest('latest')).toBeNull();
+  });
+
+  test('renders the manifest command', () => {
+    const command = dockerUtils.renderImagetoolsCommand({
+      tags: [`${REPO}:master`], repo: REPO, digests: [DIGEST],
+    });
+    expect(command).toEqual(`docker buildx imagetools create \\\n      -t ${REPO}:master \\\n      ${REPO}@${DIGEST}`);
+  });
+});
+
+describe('multiple registries', () => {
+  const registries = [
+    { repo: REPO },
+    { repo: `ghcr.io/${REPO}`, authEnv: 'GHCR_TOKEN', tagFilter: '^(?!pr-)' },
+    { repo: 'registry.example.com/superset', authEnv: 'PRIVATE_TOKEN', presets: ['dev'] },
+  ];
+
+  afterEach(() => {
+    delete process.env.DOCKERHUB_TOKEN;
+    delete process.env.GHCR_TOKEN;
+  });
+
+  test('generates tags for every registry', () => {
+    const tags = dockerUtils.getDockerTags({
+      preset: 'lean', platforms: ['linux/amd64'], sha: SHA, buildContext: 'pull_request', buildContextRef: PR_ID, registries,
+    });
+    expect(tags).toEqual([
+      `${REPO}:${SHA}`,
+      `${REPO}:${SHA.slice(0, 7)}`,
+      `${REPO}:pr-${PR_ID}`,
+      `ghcr.io/${REPO}:${SHA}`,
+      `ghcr.io/${REPO}:${SHA.slice(0, 7)}`,
+    ]);
+  });
+
+  test('only includes registries accepting the preset', () => {
+    expect(dockerUtils.getDockerRegistries({ registries, preset: 'lean' })).toHaveLength(2);
+    expect(dockerUtils.getDockerRegistries({ registries, preset: 'dev' })).toHaveLength(3);
+    expect(dockerUtils.getDockerRegistries({ repo: REPO })).toEqual([expect.objectContaining({
+      repo: REPO, cacheRepo: `${REPO}-cache`, authEnv: 'DOCKERHUB_TOKEN',
+    })]);
+  });
+
+  test('pushes to authenticated registries and loads the rest', async () => {
+    process.env.GHCR_TOKEN = 'token';
+    const spec = await dockerUtils.getDockerBuildSpec({
+      preset: 'lean', platform: ['linux/amd64'], buildContext: 'push', buildContextRef: 'master', sha: SHA, registries,
+    });
+    expect(spec.push).toBe(true);
+    expect(spec.cacheFrom).toHaveLength(2);
+    expect(spec.cacheTo).toEqual([expect.stringContaining(`ref=ghcr.io/${REPO}-cache:`)]);
+    expect(spec.output).toEqual([
+      `type=image,"name=ghcr.io/${REPO}:${SHA},ghcr.io/${REPO}:${SHA.slice(0, 7)},ghcr.io/${REPO}:master",push=true`,
+      `type=docker,"name=${REPO}:${SHA},${REPO}:${SHA.slice(0, 7)},${REPO}:master"`,
+    ]);
+    expect(dockerUtils.renderDockerCommand(spec)).not.toContain('--push');
+  });
+
+  test('uses a plain --push when every registry is authenticated', async () => {
+    process.env.DOCKERHUB_TOKEN = 'token';
+    process.env.GHCR_TOKEN = 'token';
+    const spec = await dockerUtils.getDockerBuildSpec({
+      preset: 'lean', platform: ['linux/amd64'], buildContext: 'push', buildContextRef: 'master', sha: SHA, registries,
+    });
+    expect(spec.output).toEqual([]);
+    expect(dockerUtils.renderDockerCommand(spec)).toContain('--push');
+  });
+});
+
+describe('getDockerCache', () => {
+  const registries = [{ cacheRepo: `${REPO}-cache`, push: true }, { cacheRepo: 'other-cache', push: false }];
+  const scope = { registries, preset: 'dev', pyVer: '3.11-slim-bookworm' };
+
+  test('uses the registries by default, only writing where we can push', () => {
+    expect(dockerUtils.getDockerCache(scope)).toEqual({
+      cacheFrom: [`type=registry,ref=${REPO}-cache:3.11-slim-bookworm`, 'type=registry,ref=other-cache:3.11-slim-bookworm'],
+      cacheTo: [`type=registry,mode=max,ref=${REPO}-cache:3.11-slim-bookworm`],
+    });
+  });
+
+  test('scopes gha and local caches by preset and python version', () => {
+    expect(dockerUtils.getDockerCache({ ...scope, cache: 'gha' })).toEqual({
+      cacheFrom: ['type=gha,scope=dev-3.11-slim-bookworm'],
+      cacheTo: ['type=gha,mode=max,scope=dev-3.11-slim-bookworm'],
+    });
+    expect(dockerUtils.getDockerCache({ ...scope, cache: 'local', cacheDir: '/tmp/cache' })).toEqual({
+      cacheFrom: ['type=local,src=/tmp/cache/dev-3.11-slim-bookworm'],
+      cacheTo: ['type=local,mode=max,dest=/tmp/cache/dev-3.11-slim-bookworm'],
+    });
+  });
+
+  test('can disable the cache', async () => {
+    const { command } = await dockerUtils.getDockerBuild({
+      preset: 'lean', platform: ['linux/amd64'], buildContext: 'local', sha: SHA, repo: REPO, cache: 'none',
+    });
+    expect(command).not.toContain('--cache-');
+  });
+});
+
+describe('supply chain metadata', () => {
+  afterEach(() => {
+    delete process.env.DOCKERHUB_TOKEN;
+    delete process.env.SOURCE_DATE_EPOCH;
+  });
+
+  test('builds OCI annotations', () => {
+    process.env.SOURCE_DATE_EPOCH = '0';
+    expect(dockerUtils.getOciAnnotations({
+      sourceUrl: 'https://github.com/apache/superset', sha: SHA, version: NEW_REL,
+    })).toEqual({
+      'org.opencontainers.image.source': 'https://github.com/apache/superset',
+      'org.opencontainers.image.revision': SHA,
+      'org.opencontainers.image.version': NEW_REL,
+      'org.opencontainers.image.created': '1970-01-01T00:00:00.000Z',
+      'org.opencontainers.image.licenses': 'Apache-2.0',
+    });
+  });
+
+  test.each([
+    ['release', NEW_REL, true],
+    ['pull_request', PR_ID, false],
+  ])('attests pushed %s builds: %s', async (buildContext, buildContextRef, attested) => {
+    process.env.DOCKERHUB_TOKEN = 'token';
+    const { command, labels } = await dockerUtils.getDockerBuild({
+      preset: 'lean', platform: ['linux/amd64'], buildContext, buildContextRef, sha: SHA, repo: REPO,
+    });
+    expect(labels['org.opencontainers.image.revision']).toEqual(SHA);
+    expect(command).toContain(`--annotation org.opencontainers.image.revision=${SHA}`);
+    expect(command.includes('--sbom=true')).toBe(attested);
+    expect(command).toContain(attested ? '--provenance=mode=max' : '--provenance=false');
+  });
+
+  test('leaves attestations out of local builds', async () => {
+    const { command, labels } = await dockerUtils.getDockerBuild({
+      preset: 'lean', platform: ['linux/amd64'], buildContext: 'release', buildContextRef: NEW_REL, sha: SHA, repo: REPO,
+    });
+    expect(labels['org.opencontainers.image.version']).toEqual(NEW_REL);
+    expect(command).not.toContain('--annotation');
+    expect(command).not.toContain('--sbom');
+    expect(command).not.toContain('--provenance');
+  });
+});
+
+describe('build outputs', () => {
+  test('summarizes the build for later steps', async () => {
+    const build = await dockerUtils.getDockerBuild({
+      preset: 'dev', platform: ['linux/amd64'], buildContext: 'release', buildContextRef: NEW_REL, latestRelease: NEW_REL, sha: SHA, repo: REPO,
+    });
+    const outputs = dockerUtils.getDockerBuildOutputs(build);
+    expect(outputs).toEqual(expect.objectContaining({
+      primaryTag: `${REPO}:${SHA}-dev`,
+      platforms: ['linux/amd64'],
+      latest: true,
+    }));
+    expect(outputs.tags).toContain(`${REPO}:latest-dev`);
+
+    const formatted = dockerUtils.formatDockerBuildOutputs(outputs);
+    expect(formatted.tags.split('\n')).toEqual(outputs.tags);
+    expect(formatted.labels).toContain(`org.opencontainers.image.revision=${SHA}`);
+    expect(formatted.latest).toEqual('true');
+    expect(JSON.parse(formatted.metadata)).toEqual(outputs);
+  });
+});
+
+describe('validateDockerPresets', () => {
+  const DOCKERFILE = `# syntax=docker/dockerfile:1
+ARG PY_VER=3.10-slim-bookworm
+FROM --platform=$BUILDPLATFORM node:18 AS superset-node
+ARG NPM_BUILD_CMD="build"
+FROM python:\${PY_VER} AS lean
+ARG BUILD_TRANSLATIONS=false \\
+    INCLUDE_CHROMIUM
+FROM lean as dev
+`;
+  let tmpDir;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supersetbot-validate-'));
+    fs.writeFileSync(path.join(tmpDir, 'Dockerfile'), DOCKERFILE);
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('parses stages and args', () => {
+    expect(dockerUtils.parseDockerfile(DOCKERFILE)).toEqual({
+      stages: ['superset-node', 'lean', 'dev'],
+      args: ['PY_VER', 'NPM_BUILD_CMD', 'BUILD_TRANSLATIONS', 'INCLUDE_CHROMIUM'],
+    });
+  });
+
+  test('accepts valid presets', () => {
+    expect(dockerUtils.validateDockerPresets({ presetNames: ['lean', 'dev', 'py311'], cwd: tmpDir })).toEqual([]);
+  });
+
+  test('reports every problem', () => {
+    const presets = dockerUtils.getDockerPresets({
+      lean: { buildArgs: { INCLUDE_CHROMIUM: 'true', TYPO: '1' } },
+      nope: { target: 'nope' },
+    });
+    const errors = dockerUtils.validateDockerPresets({ presets, cwd: tmpDir });
+    expect(errors).toEqual(expect.arrayContaining([
+      'preset "lean": build arg "TYPO" isn\'t declared in Dockerfile',
+      'preset "ci": target "ci" isn\'t a stage of Dockerfile (stages: superset-node, lean, dev)',
+      'preset "nope": target "nope" isn\'t a stage of Dockerfile (stages: superset-node, lean, dev)',
+      'preset "websocket": superset-websocket/Dockerfile doesn\'t exist',
+      'preset "dockerize": dockerize.Dockerfile doesn\'t exist',
+    ]));
+    expect(errors).toHaveLength(5);
+  });
+
+  test("doesn't require PY_VER unless the preset sets it", () => {
+    fs.mkdirSync(path.join(tmpDir, 'superset-websocket'));
+    fs.writeFileSync(path.join(tmpDir, 'superset-websocket', 'Dockerfile'), `FROM node:20-alpine
+WORKDIR /home/superset-websocket
+CMD ["npm", "start"]
+`);
+    const presets = dockerUtils.getDockerPresets({
+      pinned: { context: 'superset-websocket', pyVer: '3.11-slim-bookworm' },
+    });
+    expect(dockerUtils.validateDockerPresets({ presets, presetNames: ['websocket', 'pinned'], cwd: tmpDir }))
+      .toEqual(['preset "pinned": build arg "PY_VER" isn\'t declared in superset-websocket/Dockerfile']);
+  });
+});
+
+describe('planDockerTagPruning', () => {
+  const OLD_SHA = 'a'.repeat(40);
+  const RELEASE_SHA = 'b'.repeat(40);
+  const tags = dockerUtils.normalizeTagListing({
+    results: [
+      { name: 'latest', last_updated: '2024-03-01', digest: 'sha256:rel' },
+      { name: NEW_REL, last_updated: '2024-03-01', digest: 'sha256:rel' },
+      { name: 'master-dev', last_updated: '2024-03-03', digest: 'sha256:master' },
+      { name: `${SHA}-dev`, last_updated: '2024-03-03', digest: 'sha256:master' },
+      { name: SHA.slice(0, 7), last_updated: '2024-03-02', digest: 'sha256:new' },
+      { name: RELEASE_SHA, last_updated: '2024-01-01', digest: 'sha256:rel' },
+      { name: OLD_SHA.slice(0, 7), last_updated: '2024-01-01', digest: 'sha256:old' },
+      { name: 'pr-666-dev', last_updated: '2024-01-01', digest: 'sha256:pr' },
+      { name: 'pr-my-branch', last_updated: '2024-01-01', digest: 'sha256:pr' },
+      { name: 'pr-42', last_updated: '2024-01-01', digest: 'sha256:pr' },
+      { name: 'some-custom-tag', last_updated: '2020-01-01', digest: 'sha256:custom' },
+    ],
+  });
+
+  test('only deletes closed PR tags and old SHAs', () => {
+    const plan = dockerUtils.planDockerTagPruning({
+      tags, openPullRequests: [PR_ID, 'my-branch'], keepShas: 1,
+    });
+    expect(plan.delete).toEqual([
+      { tag: OLD_SHA.slice(0, 7), reason: 'older than the 1 most recent SHAs' },
+      { tag: 'pr-42', reason: 'PR is closed' },
+    ]);
+    expect(plan.keep).toEqual(expect.arrayContaining([
+      { tag: 'latest', reason: 'latest' },
+      { tag: NEW_REL, reason: 'release' },
+      { tag: 'master-dev', reason: 'main branch' },
+      { tag: `${SHA}-dev`, reason: 'same image as master-dev' },
+      { tag: SHA.slice(0, 7), reason: 'one of the 1 most recent SHAs' },
+      { tag: RELEASE_SHA, reason: `same image as ${NEW_REL}` },
+      { tag: 'pr-666-dev', reason: `open PR ${PR_ID}` },
+      { tag: 'pr-my-branch', reason: 'open PR my-branch' },
+      { tag: 'some-custom-tag', reason: 'not generated by supersetbot' },
+    ]));
+  });
+
+  test('accepts plain tag names', () => {
+    const plan = dockerUtils.planDockerTagPruning({
+      tags: dockerUtils.normalizeTagListing(['pr-1', SHA, OLD_SHA]), keepShas: 1,
+    });
+    expect(plan.delete.map(({ tag }) => tag)).toEqual(['pr-1', OLD_SHA]);
+    expect(() => dockerUtils.normalizeTagListing({})).toThrow('expected a list of tags');
+  });
+
+  test.each([NaN, -1, 1.5])('refuses to plan with %s SHAs to keep', (keepShas) => {
+    expect(() => dockerUtils.planDockerTagPruning({
+      tags: dockerUtils.normalizeTagListing([SHA, OLD_SHA]), keepShas,
+    })).toThrow('keepShas should be a non-negative integer');
+  });
+});
+
+describe('getDockerCommandArgv', () => {
+  test('passes each argument as is, without shell quoting', async () => {
+    const { argv, command } = await dockerUtils.getDockerBuild({
+      preset: 'dev', platform: ['linux/amd64'], buildContext: 'push', buildContextRef: 'master', sha: SHA, repo: REPO, extraFlags: '--cpus 1',
+    });
+    expect(argv.slice(0, 4)).toEqual(['docker', 'buildx', 'build', '--load']);
+    expect(argv).toEqual(expect.arrayContaining(['-t', `${REPO}:master-dev`, '--target', 'dev', '--cpus', '1']));
+    expect(argv[argv.length - 1]).toEqual('.');
+    expect(command.startsWith('docker buildx build \\\n      --load \\\n')).toBe(true);
+  });
+});
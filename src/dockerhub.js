@@ -0,0 +1,85 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+const API_URL = 'https://hub.docker.com/v2';
+
+async function request(url, options = {}) {
+  const resp = await fetch(url, options);
+  if (!resp.ok) {
+    throw new Error(`Docker Hub API error: ${options.method || 'GET'} ${url} returned ${resp.status}`);
+  }
+  return resp.status === 204 ? null : resp.json();
+}
+
+class DockerHub {
+  #jwt;
+
+  constructor({ repo, username = null, token = null }) {
+    if (!DockerHub.isDockerHubRepo(repo)) {
+      throw new Error(`"${repo}" isn't a Docker Hub repository, only Docker Hub's API is supported`);
+    }
+    this.repo = repo.includes('/') ? repo : `library/${repo}`;
+    this.username = username;
+    this.token = token;
+    this.#jwt = null;
+  }
+
+  static isDockerHubRepo(repo) {
+    // Other registries prefix the repo with their host, ie: "ghcr.io/apache/superset"
+    const [first] = repo.split('/');
+    return repo.split('/').length <= 2 && !/[.:]/.test(first);
+  }
+
+  async #login() {
+    if (!this.#jwt) {
+      if (!this.username || !this.token) {
+        throw new Error('Docker Hub credentials are required to delete tags');
+      }
+      const data = await request(`${API_URL}/users/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: this.username, password: this.token }),
+      });
+      this.#jwt = data.token;
+    }
+    return { Authorization: `Bearer ${this.#jwt}` };
+  }
+
+  async listTags() {
+    // Same shape as the API's `results`, most recently updated first
+    const tags = [];
+    let url = `${API_URL}/repositories/${this.repo}/tags?page_size=100&ordering=last_updated`;
+    while (url) {
+      // eslint-disable-next-line no-await-in-loop
+      const data = await request(url);
+      tags.push(...data.results);
+      url = data.next;
+    }
+    return tags;
+  }
+
+  async deleteTag(tag) {
+    await request(`${API_URL}/repositories/${this.repo}/tags/${encodeURIComponent(tag)}/`, {
+      method: 'DELETE',
+      headers: await this.#login(),
+    });
+  }
+}
+
+export default DockerHub;
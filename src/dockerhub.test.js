@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+
+import DockerHub from './dockerhub.js';
+
+const API_URL = 'https://hub.docker.com/v2';
+
+function jsonResponse(data, status = 200) {
+  return { ok: status < 400, status, json: async () => data };
+}
+
+describe('DockerHub', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('only supports Docker Hub repositories', () => {
+    expect(DockerHub.isDockerHubRepo('apache/superset')).toBe(true);
+    expect(DockerHub.isDockerHubRepo('python')).toBe(true);
+    expect(DockerHub.isDockerHubRepo('ghcr.io/apache/superset')).toBe(false);
+    expect(DockerHub.isDockerHubRepo('localhost:5000/superset')).toBe(false);
+    expect(() => new DockerHub({ repo: 'ghcr.io/apache/superset' })).toThrow("isn't a Docker Hub repository");
+    expect(new DockerHub({ repo: 'python' }).repo).toEqual('library/python');
+  });
+
+  it('lists tags across pages', async () => {
+    const page2 = `${API_URL}/repositories/apache/superset/tags?page=2`;
+    fetchSpy
+      .mockResolvedValueOnce(jsonResponse({ results: [{ name: 'latest' }], next: page2 }))
+      .mockResolvedValueOnce(jsonResponse({ results: [{ name: '4.1.0' }], next: null }));
+    const hub = new DockerHub({ repo: 'apache/superset' });
+    expect(await hub.listTags()).toEqual([{ name: 'latest' }, { name: '4.1.0' }]);
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    expect(fetchSpy.mock.calls[0][0]).toEqual(`${API_URL}/repositories/apache/superset/tags?page_size=100&ordering=last_updated`);
+    expect(fetchSpy.mock.calls[1][0]).toEqual(page2);
+  });
+
+  it('logs in once to delete tags', async () => {
+    fetchSpy
+      .mockResolvedValueOnce(jsonResponse({ token: 'jwt' }))
+      .mockResolvedValue(jsonResponse(null, 204));
+    const hub = new DockerHub({ repo: 'apache/superset', username: 'bot', token: 'secret' });
+    await hub.deleteTag('pr-1');
+    await hub.deleteTag('pr-2');
+
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+    const [loginUrl, loginOptions] = fetchSpy.mock.calls[0];
+    expect(loginUrl).toEqual(`${API_URL}/users/login`);
+    expect(JSON.parse(loginOptions.body)).toEqual({ username: 'bot', password: 'secret' });
+    expect(fetchSpy.mock.calls[2]).toEqual([
+      `${API_URL}/repositories/apache/superset/tags/pr-2/`,
+      { method: 'DELETE', headers: { Authorization: 'Bearer jwt' } },
+    ]);
+  });
+
+  it('reports API errors and missing credentials', async () => {
+    const hub = new DockerHub({ repo: 'apache/superset' });
+    await expect(hub.deleteTag('pr-1')).rejects.toThrow('Docker Hub credentials are required');
+    fetchSpy.mockResolvedValueOnce(jsonResponse({}, 404));
+    await expect(hub.listTags()).rejects.toThrow('returned 404');
+  });
+});
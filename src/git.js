@@ -6,9 +6,11 @@ import GitRelease from './git_release.js';
 export default class Git {
   #releaseTags;
 
-  constructor(context, mainBranch = 'master') {
+  #releaseBranches;
+
+  constructor(context, mainBranch = null) {
     this.context = context;
-    this.mainBranch = mainBranch;
+    this.mainBranch = mainBranch || context.config.mainBranch;
     this.releases = new Map();
     this.git = simpleGit();
     this.mainBranchGitRelease = this.mainBranchGitRelease.bind(this);
@@ -34,16 +36,38 @@ export default class Git {
     return this.#releaseTags;
   }
 
+  async releaseBranches() {
+    // Release branches are named after the minor version they track, ie: "4.1"
+    if (!this.#releaseBranches) {
+      const branches = await this.git.branch(['-r']);
+      const releaseBranches = new Map();
+      branches.all.forEach((ref) => {
+        const name = ref.replace(/^[^/]+\//, '');
+        if (/^\d+\.\d+$/.test(name) && !releaseBranches.has(name)) {
+          releaseBranches.set(name, ref);
+        }
+      });
+      this.#releaseBranches = [...releaseBranches.entries()]
+        .map(([name, ref]) => ({ name, ref }))
+        .sort((a, b) => semver.compare(`${a.name}.0`, `${b.name}.0`));
+    }
+    return this.#releaseBranches;
+  }
+
   async loadMainBranch() {
     await this.loadRelease(this.mainBranch);
   }
 
   async loadReleases(tags = null) {
     const tagsToFetch = tags || await this.releaseTags();
+    const promises = [];
     if (!tags) {
       await this.loadMainBranch();
+      const branches = await this.releaseBranches();
+      branches.forEach(({ ref }) => {
+        promises.push(this.loadRelease(ref));
+      });
     }
-    const promises = [];
     tagsToFetch.forEach((tag) => {
       promises.push(this.loadRelease(tag));
     });
@@ -85,6 +109,24 @@ export default class Git {
           labels.push(`🍒 ${release.tag}`);
         }
       });
+
+      const branches = await this.releaseBranches();
+      branches.forEach(({ name, ref }) => {
+        const branchRelease = this.releases.get(ref);
+        if (!branchRelease?.prIdCommitMap.get(prNumber)) {
+          return;
+        }
+        // Already shipped in a tag from this release line, nothing to target
+        const isInReleaseLine = tags
+          .filter((tag) => tag.startsWith(`${name}.`))
+          .some((tag) => this.releases.get(tag).prIdCommitMap.get(prNumber));
+        // Shipped in an older release, newer release branches contain it by design
+        const shippedEarlier = firstGitReleased
+          && semver.gt(`${name}.0`, firstGitReleased);
+        if (!isInReleaseLine && !shippedEarlier) {
+          labels.push(`🎯 ${name}`);
+        }
+      });
       if (labels.length >= 1) {
         // using this emoji to show it's been labeled by the bot
         labels.push('🏷️ bot');
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+
+import Git from './git.js';
+
+function stubRelease(tag, commits) {
+  // commits: [[sha, prId]], like GitRelease.load() would map them
+  const shaCommitMap = new Map(commits.map(([sha, prId]) => [sha, { sha, prId }]));
+  const prIdCommitMap = new Map(commits.map(([sha, prId]) => [prId, { sha, prId }]));
+  return { tag, shaCommitMap, prIdCommitMap };
+}
+
+function stubGit({ tags, branches, releases }) {
+  const git = new Git({ config: { mainBranch: 'master' } });
+  jest.spyOn(git, 'releaseTags').mockResolvedValue(tags);
+  jest.spyOn(git, 'releaseBranches')
+    .mockResolvedValue(branches.map((name) => ({ name, ref: `origin/${name}` })));
+  Object.entries(releases).forEach(([name, commits]) => {
+    git.releases.set(name, stubRelease(name, commits));
+  });
+  return git;
+}
+
+describe('releaseBranches', () => {
+  it('finds the release branches of one remote each, in version order', async () => {
+    const git = new Git({ config: { mainBranch: 'master' } });
+    jest.spyOn(git.git, 'branch').mockResolvedValue({
+      all: ['origin/master', 'origin/5.0', 'origin/4.10', 'origin/4.2', 'upstream/4.2', 'origin/4.1-fix'],
+    });
+    expect(await git.releaseBranches()).toEqual([
+      { name: '4.2', ref: 'origin/4.2' },
+      { name: '4.10', ref: 'origin/4.10' },
+      { name: '5.0', ref: 'origin/5.0' },
+    ]);
+  });
+});
+
+describe('getReleaseLabels', () => {
+  it('targets the release branch a PR landed on before any tag', async () => {
+    const git = stubGit({
+      tags: ['4.0.0'],
+      branches: ['4.0', '4.1'],
+      releases: {
+        master: [['aaaaaaa', 1]],
+        '4.0.0': [],
+        'origin/4.0': [],
+        // Cherry-picked onto the branch, so under another SHA
+        'origin/4.1': [['bbbbbbb', 1]],
+      },
+    });
+    expect(await git.getReleaseLabels(1)).toEqual(['🎯 4.1', '🏷️ bot']);
+  });
+
+  it("doesn't target a release line that already shipped the PR", async () => {
+    const git = stubGit({
+      tags: ['4.1.0'],
+      branches: ['4.1'],
+      releases: {
+        master: [['aaaaaaa', 2]],
+        '4.1.0': [['aaaaaaa', 2]],
+        'origin/4.1': [['aaaaaaa', 2]],
+      },
+    });
+    expect(await git.getReleaseLabels(2)).toEqual(['🚢 4.1.0', '🏷️ bot']);
+  });
+
+  it("doesn't target newer release branches of a PR shipped earlier", async () => {
+    const git = stubGit({
+      tags: ['4.0.0', '4.0.1'],
+      branches: ['4.0', '5.0'],
+      releases: {
+        master: [['aaaaaaa', 3]],
+        '4.0.0': [],
+        '4.0.1': [['aaaaaaa', 3]],
+        'origin/4.0': [['aaaaaaa', 3]],
+        // Cut from master after 4.0.1, so it contains the PR by design
+        'origin/5.0': [['aaaaaaa', 3]],
+      },
+    });
+    expect(await git.getReleaseLabels(3)).toEqual(['🚢 4.0.1', '🏷️ bot']);
+  });
+
+  it('leaves PRs that are not on the main branch alone', async () => {
+    const git = stubGit({
+      tags: [], branches: ['4.1'], releases: { master: [], 'origin/4.1': [['ccccccc', 4]] },
+    });
+    expect(await git.getReleaseLabels(4)).toEqual([]);
+  });
+});
@@ -24,7 +24,8 @@ export default class GitRelease {
     }
     const range = `${this.from || 'first'}..${this.tag}`;
     const commits = await this.git.log({ from, to: this.tag });
-    this.context.log(`${range} - fetched ${commits.all.length} commits`);
+    // Progress goes to stderr, stdout may be the command's actual output
+    console.error(`${range} - fetched ${commits.all.length} commits`);
 
     this.shaCommitMap = new Map();
     commits.all.forEach((commit) => {
@@ -6,13 +6,26 @@ import toml from 'toml';
 import { Octokit } from '@octokit/rest';
 import { throttling } from '@octokit/plugin-throttling';
 
-import { ORG_LIST, PROTECTED_LABEL_PATTERNS, COMMITTER_TEAM } from './metadata.js';
+import { PROTECTED_LABEL_PATTERNS } from './metadata.js';
+import { evaluatePolicy, getPolicy, PolicyDeniedError } from './policy.js';
 import {
-  runShellCommand, shuffleArray, parsePinnedRequirementsTree, mergeParsedRequirementsTree,
-  compareSemVer,
+  checkUpdatePolicy, comparePythonVersions, getBumpedLibraries, getPythonResolver,
+  getPythonSpecifiers, getUpgradeSpecifier, normalizePackageName, PYTHON_RESOLVERS,
+  renderBumpTable, upgradePythonPackage,
+} from './python.js';
+import {
+  getNpmDependencies, getNpmLockChanges, getNpmUpdateArgv, readNpmProject,
+} from './npm.js';
+import { flattenDescendants, getDescendants, readPinnedRequirementsTree } from './deps.js';
+import {
+  findVulnerablePins, loadOsvAdvisories, renderAdvisories, renderVulnerabilityReport,
+} from './advisories.js';
+import {
+  COMMAND_TIMEOUTS, spawnCommand, shuffleArray, compareSemVer, globToRegExp,
 } from './utils.js';
 
-const reqsFiles = ['requirements/base.txt', 'requirements/development.txt'];
+// Branches of the bump PRs, `<prefix><lib>`, `<prefix>group-<name>` and `<prefix>npm-<name>`
+const BUMP_BRANCH_PREFIX = 'supersetbot-bump-';
 
 class Github {
   #userInTeamCache;
@@ -89,8 +102,8 @@ class Github {
 
   async label(issueNumber, label, actor = null, verbose = false, dryRun = false) {
     let hasPerm = true;
-    if (actor && Github.isLabelProtected(label)) {
-      hasPerm = await this.checkIfUserInTeam(actor, COMMITTER_TEAM, verbose);
+    if (actor && Github.isLabelProtected(label, this.context.config.protectedLabelPatterns)) {
+      hasPerm = await this.checkIfUserInTeam(actor, this.context.config.committerTeam, verbose);
     }
     if (hasPerm) {
       const addLabelWrapped = this.context.commandWrapper({
@@ -104,6 +117,19 @@ class Github {
         issue_number: issueNumber,
         labels: [label],
       });
+      this.context.recordAction('label_added', { issue: issueNumber, label });
+    }
+  }
+
+  async getPullRequest(prId) {
+    try {
+      const resp = await this.octokit.rest.pulls.get({
+        ...this.unPackRepo(),
+        pull_number: prId,
+      });
+      return resp.data;
+    } catch (error) {
+      return null;
     }
   }
 
@@ -119,8 +145,8 @@ class Github {
 
   async unlabel(issueNumber, label, actor = null, verbose = false, dryRun = false) {
     let hasPerm = true;
-    if (actor && Github.isLabelProtected(label)) {
-      hasPerm = await this.checkIfUserInTeam(actor, COMMITTER_TEAM, verbose);
+    if (actor && Github.isLabelProtected(label, this.context.config.protectedLabelPatterns)) {
+      hasPerm = await this.checkIfUserInTeam(actor, this.context.config.committerTeam, verbose);
     }
     if (hasPerm) {
       const removeLabelWrapped = this.context.commandWrapper({
@@ -134,6 +160,7 @@ class Github {
         issue_number: issueNumber,
         name: label,
       });
+      this.context.recordAction('label_removed', { issue: issueNumber, label });
     }
   }
 
@@ -147,7 +174,7 @@ class Github {
     const orgNames = orgs.data.map((v) => v.login);
 
     // get list of matching github orgs
-    const matchingOrgs = orgNames.filter((org) => ORG_LIST.includes(org));
+    const matchingOrgs = orgNames.filter((org) => this.context.config.orgList.includes(org));
     if (matchingOrgs.length) {
       const wrapped = this.context.commandWrapper({
         func: this.octokit.rest.issues.addLabels,
@@ -156,11 +183,12 @@ class Github {
         verbose,
         dryRun,
       });
-      wrapped({
+      await wrapped({
         ...this.unPackRepo(),
         issue_number: issueNumber,
         labels: matchingOrgs,
       });
+      this.context.recordAction('labels_added', { issue: issueNumber, labels: matchingOrgs });
     }
   }
 
@@ -211,7 +239,7 @@ class Github {
     }
     let hasPerm = true;
     if (actor) {
-      hasPerm = await this.checkIfUserInTeam(actor, COMMITTER_TEAM, verbose);
+      hasPerm = await this.checkIfUserInTeam(actor, this.context.config.committerTeam, verbose);
     }
     if (!hasPerm) {
       return;
@@ -264,6 +292,9 @@ class Github {
         name: label,
       })));
     }
+    this.context.recordAction('labels_synced', {
+      prId, labels, added: labelsToAdd, removed: labelsToRemove,
+    });
     this.context.logSuccess(`synched labels for PR ${prId} with labels ${labels}`);
   }
 
@@ -289,44 +320,124 @@ class Github {
     return isInTeam;
   }
 
-  static isLabelProtected(label) {
-    return PROTECTED_LABEL_PATTERNS.some((pattern) => new RegExp(pattern).test(label));
+  async isUserInTeam(username, team) {
+    // Unlike checkIfUserInTeam, a "no" isn't logged as an error, the caller tells what it means
+    const [org, teamSlug] = team.split('/');
+    try {
+      const resp = await this.octokit.teams.getMembershipForUserInOrg({
+        org, team_slug: teamSlug, username,
+      });
+      return resp?.data?.state === 'active';
+    } catch (error) {
+      return false;
+    }
   }
 
-  async getSubPackageTree({ onlyBase = false } = {}) {
-    if (this.#packageTree) {
-      return this.#packageTree;
+  async checkIfUserInOrg(username, org) {
+    try {
+      await this.octokit.orgs.checkMembershipForUser({ org, username });
+      return true;
+    } catch (error) {
+      return false;
     }
-    let subPackages = {};
-    const cwd = process.cwd();
-    /* eslint-disable no-restricted-syntax, no-await-in-loop */
-    for (const reqsFile of reqsFiles) {
-      if (onlyBase && reqsFile !== 'requirements/base.txt') {
-        // eslint-disable-next-line no-continue
-        continue;
-      }
-      const reqsFilePath = path.join(cwd, reqsFile);
-      const reqsData = await fs.promises.readFile(reqsFilePath, 'utf8');
-      const pinnedReqs = parsePinnedRequirementsTree(reqsData);
-      subPackages = mergeParsedRequirementsTree(subPackages, pinnedReqs);
+  }
+
+  async getCollaboratorPermission(username) {
+    const resp = await this.octokit.repos.getCollaboratorPermissionLevel({
+      ...this.unPackRepo(),
+      username,
+    });
+    // role_name knows about triage/maintain, permission only about read/write/admin
+    return resp.data.role_name || resp.data.permission;
+  }
+
+  async getIssueAuthor(issueNumber) {
+    const issue = await this.octokit.rest.issues.get({
+      ...this.unPackRepo(),
+      issue_number: issueNumber,
+    });
+    return issue.data.user.login;
+  }
+
+  async authorizeCommand({ command, args = [], actor }) {
+    const checker = {
+      committerTeam: this.context.config.committerTeam,
+      getAuthor: () => this.getIssueAuthor(this.issueNumber),
+      getPermission: (username) => this.getCollaboratorPermission(username),
+      isInTeam: (username, team) => this.isUserInTeam(username, team),
+      isInOrg: (username, org) => this.checkIfUserInOrg(username, org),
+    };
+    const decision = await evaluatePolicy({
+      policy: getPolicy(this.context.config), command, args, actor, checker,
+    });
+    const required = decision.roles.join(', ') || 'nobody';
+    if (!decision.allowed) {
+      const msg = `user "${actor}" is not authorized to run "${command}", requires one of: ${required}`;
+      this.context.logError(msg);
+      throw new PolicyDeniedError(msg);
+    }
+    console.log(`🔐 user "${actor}" is authorized to run "${command}" as "${decision.role}"`);
+    return decision;
+  }
+
+  static isLabelProtected(label, patterns = PROTECTED_LABEL_PATTERNS) {
+    return patterns.some((pattern) => new RegExp(pattern).test(label));
+  }
+
+  async getSubPackageTree({ onlyBase = false } = {}) {
+    if (!this.#packageTree) {
+      this.#packageTree = await readPinnedRequirementsTree({
+        reqsFiles: this.context.config.python.reqsFiles, onlyBase,
+      });
     }
-    this.#packageTree = subPackages;
-    return subPackages;
+    return this.#packageTree;
   }
 
   async allDescendantPackages(parent) {
     const tree = await this.getSubPackageTree();
-    let descendants = [];
-    for (const child of tree[parent] || []) {
-      descendants = [...new Set([...descendants, ...(await this.allDescendantPackages(child))])];
-    }
-    return [parent, ...descendants];
+    return flattenDescendants(getDescendants(tree, parent));
+  }
+
+  async #getPinnedVersion(lib) {
+    const tree = await this.getSubPackageTree();
+    const name = Object.keys(tree)
+      .find((pkg) => normalizePackageName(pkg) === normalizePackageName(lib));
+    return name ? tree[name].version : null;
+  }
+
+  async getVulnerablePins({ advisories, onlyBase = false }) {
+    const pins = await this.getSubPackageTree({ onlyBase });
+    return findVulnerablePins(pins, loadOsvAdvisories(advisories));
   }
 
   async createAllBumpPRs({
     verbose = false, dryRun = false, useCurrentRepo = false, limit = null, shuffle = true,
-    group = null, includeSubpackages = false, onlyBase = false,
+    group = null, includeSubpackages = false, onlyBase = false, resolver = null,
+    bundle = false, match = null, patchOnly = false,
+    vulnerableOnly = false, advisories = null, vulnerabilityReport = false,
   }) {
+    let vulnerabilities = null;
+    if (vulnerableOnly) {
+      // Security bumps target the fixed version, not the latest
+      const pythonResolver = getPythonResolver(resolver || this.context.config.python.resolver);
+      if (!pythonResolver.supportsSpecifier) {
+        const supported = Object.keys(PYTHON_RESOLVERS)
+          .filter((name) => PYTHON_RESOLVERS[name].supportsSpecifier);
+        this.context.logError(`--vulnerable-only needs a resolver that can target a version (${supported.join(', ')}), ${pythonResolver.name} can't`);
+        this.context.exit(1);
+      }
+    }
+    if (vulnerableOnly || vulnerabilityReport) {
+      vulnerabilities = await this.getVulnerablePins({ advisories, onlyBase });
+      this.context.setResult('vulnerabilities', vulnerabilities);
+      if (vulnerabilityReport) {
+        console.log(renderVulnerabilityReport(vulnerabilities));
+        return null;
+      }
+    }
+    const getVulnerability = (lib) => vulnerabilities
+      ?.find((v) => normalizePackageName(v.lib) === normalizePackageName(lib)) || null;
+
     const cwd = process.cwd();
     const tomlFilePath = path.join(cwd, 'pyproject.toml');
 
@@ -354,19 +465,71 @@ class Github {
       const tree = await this.getSubPackageTree({ onlyBase });
       deps = Object.keys(tree);
     }
+    deps = deps.map((libRange) => libRange.match(/^[^>=<;[\s]+/)[0]);
+    if (match) {
+      const regex = globToRegExp(match);
+      deps = deps.filter((lib) => regex.test(lib));
+    }
+    if (vulnerabilities) {
+      deps = deps.filter((lib) => !!getVulnerability(lib)).filter((lib) => {
+        const { version, fixedVersion } = getVulnerability(lib);
+        if (!fixedVersion) {
+          this.#skipBump({ lib, reason: `no fixed version yet for the advisories affecting ${version}` });
+        }
+        return !!fixedVersion;
+      });
+    }
+    // Ignored packages aren't even upgraded
+    deps = deps.filter((lib) => {
+      const reason = checkUpdatePolicy({ lib, policy: this.context.config.python.updatePolicy });
+      if (reason) {
+        this.#skipBump({ lib, reason });
+      }
+      return !reason;
+    });
     if (shuffle) {
       deps = shuffleArray(deps);
     }
 
     console.log(`Processing ${deps.length} libraries:`, deps);
 
+    if (bundle) {
+      let name = 'all';
+      if (group || match) {
+        name = [group, match].filter((s) => !!s).join(' ');
+      } else if (patchOnly) {
+        name = 'patch-level';
+      }
+      if (vulnerabilities) {
+        name = [name === 'all' ? null : name, 'security'].filter((s) => !!s).join(' ');
+      }
+      await this.createGroupedBumpPullRequest({
+        name,
+        packages: deps,
+        verbose,
+        dryRun,
+        useCurrentRepo,
+        resolver,
+        patchOnly,
+        vulnerabilities: deps.map(getVulnerability).filter((v) => !!v),
+      });
+      this.#logSkippedBumps();
+      return null;
+    }
+
     /* eslint-disable no-restricted-syntax, no-await-in-loop */
-    for (const libRange of deps) {
-      const pythonPackage = libRange.match(/^[^>=<;[\s]+/)[0];
+    for (const pythonPackage of deps) {
       console.log(`Processing library: ${pythonPackage}`);
       try {
         const url = await this.createBumpLibPullRequest({
-          pythonPackage, verbose, dryRun, useCurrentRepo, includeSubpackages,
+          pythonPackage,
+          verbose,
+          dryRun,
+          useCurrentRepo,
+          includeSubpackages,
+          resolver,
+          patchOnly,
+          vulnerability: getVulnerability(pythonPackage),
         });
         if (url) {
           prsCreated += 1;
@@ -378,16 +541,132 @@ class Github {
         break;
       }
     }
+    /* eslint-enable no-restricted-syntax, no-await-in-loop */
+    this.#logSkippedBumps();
+    return null;
   }
 
   async rebase({ verbose = false }) {
     const shellOptions = {
       verbose, raiseOnError: true, exitOnError: false,
     };
-    await runShellCommand({ command: 'git config user.name "GitHub Action"', ...shellOptions });
-    await runShellCommand({ command: 'git config user.email "action@github.com"', ...shellOptions });
-    await runShellCommand({ command: 'git pull --rebase origin master', ...shellOptions });
-    await runShellCommand({ command: 'git push', ...shellOptions });
+    await spawnCommand({ argv: ['git', 'config', 'user.name', 'GitHub Action'], ...shellOptions });
+    await spawnCommand({ argv: ['git', 'config', 'user.email', 'action@github.com'], ...shellOptions });
+    await spawnCommand({
+      argv: ['git', 'pull', '--rebase', 'origin', this.context.config.mainBranch],
+      timeout: COMMAND_TIMEOUTS.git,
+      ...shellOptions,
+    });
+    await spawnCommand({ argv: ['git', 'push'], timeout: COMMAND_TIMEOUTS.git, ...shellOptions });
+    this.context.recordAction('rebased', { issue: this.context.issueNumber });
+  }
+
+  async createBackportPullRequest({
+    prId, sha, targetBranch, verbose = false, dryRun = false,
+  }) {
+    const shellOptions = {
+      verbose, raiseOnError: true, exitOnError: false,
+    };
+    const branchName = `supersetbot-backport-${prId}-${targetBranch}`;
+    // An open backport PR may have been amended by hand, it's not pushed over
+    const existingPRs = await this.searchExistingPRs(branchName);
+    if (existingPRs.length > 0) {
+      this.context.recordAction('pr_exists', { prId, url: existingPRs[0].html_url, branch: branchName });
+      this.context.logSuccess(`backport PR already exists: ${existingPRs[0].html_url}`);
+      return existingPRs[0].html_url;
+    }
+    if (this.context.source === 'GHA') {
+      await spawnCommand({ argv: ['git', 'config', 'user.name', 'GitHub Action'], ...shellOptions });
+      await spawnCommand({ argv: ['git', 'config', 'user.email', 'action@github.com'], ...shellOptions });
+    }
+    const currentRef = await Github.#getCurrentRef(shellOptions);
+    await spawnCommand({
+      argv: ['git', 'fetch', 'origin', targetBranch], timeout: COMMAND_TIMEOUTS.git, ...shellOptions,
+    });
+    await spawnCommand({
+      argv: ['git', 'checkout', '-B', branchName, `origin/${targetBranch}`], ...shellOptions,
+    });
+
+    try {
+      try {
+        await spawnCommand({ argv: ['git', 'cherry-pick', '-x', sha], ...shellOptions });
+      } catch (error) {
+        const { stdout } = await spawnCommand({
+          argv: ['git', 'diff', '--name-only', '--diff-filter=U'], ...shellOptions, raiseOnError: false,
+        });
+        const conflicts = stdout.split('\n').map((s) => s.trim()).filter((s) => !!s);
+        if (conflicts.length) {
+          this.context.logError(`cherry-picking #${prId} onto "${targetBranch}" failed with conflicts in: ${conflicts.join(', ')}`);
+        } else {
+          this.context.logError(`cherry-picking #${prId} onto "${targetBranch}" failed: ${error.message}`);
+        }
+        await spawnCommand({
+          argv: ['git', 'cherry-pick', '--abort'], ...shellOptions, raiseOnError: false,
+        });
+        return null;
+      }
+
+      const original = await this.getPullRequest(prId);
+      const originalTitle = original?.title || `#${prId}`;
+      const title = `[${targetBranch}] ${originalTitle}`;
+      const body = `Backport of #${prId} onto \`${targetBranch}\` (cherry-picked from ${sha}).\n\nGenerated by @supersetbot 🍒`;
+
+      if (dryRun) {
+        this.context.log(`Skipping backport PR creation for #${prId} due to dry-run mode.`);
+        this.context.log(`PR title would have been: ${title}`);
+        return null;
+      }
+
+      await spawnCommand({
+        argv: ['git', 'push', '-f', 'origin', branchName], timeout: COMMAND_TIMEOUTS.git, ...shellOptions,
+      });
+      const resp = await this.octokit.pulls.create({
+        ...this.unPackRepo(),
+        title,
+        head: branchName,
+        base: targetBranch,
+        body,
+      });
+      await this.octokit.issues.addLabels({
+        ...this.unPackRepo(),
+        issue_number: resp.data.number,
+        labels: ['supersetbot'],
+      });
+      this.context.recordAction('pr_created', {
+        prId, url: resp.data.html_url, title, branch: branchName, base: targetBranch,
+      });
+      this.context.logSuccess(`backport PR created: ${resp.data.html_url}`);
+      return resp.data.html_url;
+    } finally {
+      // Whatever happened, the workspace goes back to where it was. Not raising, so the actual
+      // error isn't hidden by a cleanup one
+      await spawnCommand({ argv: ['git', 'checkout', currentRef], ...shellOptions, raiseOnError: false });
+      await spawnCommand({ argv: ['git', 'branch', '-D', branchName], ...shellOptions, raiseOnError: false });
+    }
+  }
+
+  static async #getCurrentRef(shellOptions) {
+    // The branch name, or the SHA on a detached HEAD, as Actions checks out
+    const { stdout: branch } = await spawnCommand({
+      argv: ['git', 'rev-parse', '--abbrev-ref', 'HEAD'], ...shellOptions,
+    });
+    if (branch.trim() !== 'HEAD') {
+      return branch.trim();
+    }
+    const { stdout: sha } = await spawnCommand({ argv: ['git', 'rev-parse', 'HEAD'], ...shellOptions });
+    return sha.trim();
+  }
+
+  async getOpenPullRequests() {
+    const options = this.octokit.rest.pulls.list.endpoint.merge({
+      ...this.unPackRepo(),
+      state: 'open',
+      per_page: 100,
+    });
+    const prs = await this.octokit.paginate(options);
+    return prs.map((pr) => ({
+      number: pr.number, headRef: pr.head.ref, headRepo: pr.head.repo?.full_name, url: pr.html_url,
+    }));
   }
 
   async searchExistingPRs(branchName) {
@@ -434,40 +713,11 @@ class Github {
     return result;
   }
 
-  async fixReqsFile(filePath) {
-    // Somehow pip-compile-multi generates replaces the '-e file:.' with a hard-coded local path
-    // hoping they fix it in the future. In the meantime we can fix it here.
-    try {
-      // Read the file
-      const content = await fs.promises.readFile(filePath, { encoding: 'utf-8' });
-
-      let needsUpdate = false;
-      // Process each line
-      const updatedLines = content.split('\n').map((line) => {
-        if (line.startsWith('-e file:') && !line.startsWith('-e file:.')) {
-          needsUpdate = true;
-          return '-e file:.';
-        }
-        return line;
-      });
-
-      // Join the lines back and write to the file
-      if (needsUpdate) {
-        await fs.promises.writeFile(filePath, updatedLines.join('\n'), { encoding: 'utf-8' });
-      }
-    } catch (error) {
-      console.error('Error updating the file:', error);
-    }
-  }
-
-  async createBumpLibPullRequest({
-    pythonPackage, verbose = false, dryRun = false,
-    useCurrentRepo = false, includeSubpackages = false,
-  }) {
-    const cwd = './';
-
+  async #prepareBumpWorkdir({ useCurrentRepo = false, verbose = false }) {
+    // Fresh clone of the repo in a temporary directory, or a clean main branch
+    const { mainBranch } = this.context.config;
     const shellOptions = {
-      cwd, verbose, raiseOnError: true, exitOnError: false,
+      cwd: './', verbose, raiseOnError: true, exitOnError: false,
     };
 
     if (!useCurrentRepo) {
@@ -477,41 +727,232 @@ class Github {
       }
 
       // Clone the repo
-      await runShellCommand({ command: `GIT_LFS_SKIP_SMUDGE=1 git clone --depth 1 git@github.com:${this.context.repo}.git ${shellOptions.cwd}`, ...shellOptions });
+      await spawnCommand({
+        argv: ['git', 'clone', '--depth', '1', `git@github.com:${this.context.repo}.git`, shellOptions.cwd],
+        env: { GIT_LFS_SKIP_SMUDGE: '1' },
+        timeout: COMMAND_TIMEOUTS.git,
+        ...shellOptions,
+      });
     } else {
-      await runShellCommand({ command: 'git checkout master', ...shellOptions });
-      await runShellCommand({ command: 'git reset --hard', ...shellOptions });
-      await runShellCommand({ command: 'git clean -f', ...shellOptions });
+      await spawnCommand({ argv: ['git', 'checkout', mainBranch], ...shellOptions });
+      await spawnCommand({ argv: ['git', 'reset', '--hard'], ...shellOptions });
+      await spawnCommand({ argv: ['git', 'clean', '-f'], ...shellOptions });
     }
+    return shellOptions;
+  }
+
+  #skipBump({
+    lib, before = null, after = null, reason,
+  }) {
+    const change = before !== after ? ` ${before} -> ${after}` : '';
+    console.log(`Skipping "${lib}"${change}: ${reason}`);
+    this.context.recordAction('bump_skipped', {
+      lib, before, after, reason,
+    });
+  }
 
-    // Run pip-compile-multi
+  #logSkippedBumps() {
+    const skipped = this.context.actions.filter(({ type }) => type === 'bump_skipped');
+    if (skipped.length) {
+      console.log(`Skipped ${skipped.length} bump(s):`);
+      skipped.forEach(({ lib, reason }) => console.log(`  - ${lib}: ${reason}`));
+    }
+  }
+
+  async #getPolicyViolation(bumps, shellOptions, {
+    lib = null, patchOnly = false, vulnerability = null,
+  } = {}) {
+    // First bump the update policy doesn't allow, checking ranges against the workdir's
+    // pyproject.toml, or that doesn't reach the version fixing a vulnerability. A violation
+    // from a subpackage of `lib` is reported as a skip of `lib`, naming the subpackage
+    let specifiers = {};
+    try {
+      const data = await fs.promises.readFile(path.join(shellOptions.cwd, 'pyproject.toml'), 'utf8');
+      specifiers = getPythonSpecifiers(toml.parse(data));
+    } catch (error) {
+      console.error('Error reading pyproject.toml, skipping range checks:', error.message);
+    }
+    /* eslint-disable no-restricted-syntax */
+    for (const bump of bumps) {
+      const reason = checkUpdatePolicy({
+        ...bump,
+        policy: this.context.config.python.updatePolicy,
+        specifiers,
+        maxLevel: patchOnly ? 'patch' : null,
+      });
+      if (reason && lib && normalizePackageName(bump.lib) !== normalizePackageName(lib)) {
+        return {
+          lib, reason: `subpackage "${bump.lib}" ${bump.before} -> ${bump.after}: ${reason}`,
+        };
+      }
+      if (reason) {
+        return { ...bump, reason };
+      }
+    }
+    /* eslint-enable no-restricted-syntax */
+    if (vulnerability) {
+      const name = normalizePackageName(vulnerability.lib);
+      const { after = null } = bumps.find((bump) => normalizePackageName(bump.lib) === name) || {};
+      if (comparePythonVersions(after || '0', vulnerability.fixedVersion) < 0) {
+        return {
+          lib: vulnerability.lib,
+          before: vulnerability.version,
+          after,
+          reason: `still vulnerable, fixed in ${vulnerability.fixedVersion}`,
+        };
+      }
+    }
+    return null;
+  }
+
+  static cleanUpBumpWorkdir(shellOptions, useCurrentRepo) {
+    if (!useCurrentRepo) {
+      fs.rmSync(shellOptions.cwd, { recursive: true, force: true });
+    }
+  }
+
+  async #getReqsChanges(shellOptions, { staged = false, verbose = false } = {}) {
+    const { stdout: rawDiff } = await spawnCommand({
+      argv: ['git', 'diff', '--color=never', '--unified=0', ...(staged ? ['--cached'] : [])],
+      ...shellOptions,
+    });
+    const libsBeforeAfter = this.processPythonReqsDiffOutput(rawDiff);
+    if (verbose && rawDiff) {
+      console.log('Diff:', rawDiff);
+      console.log('Libs before/after:', libsBeforeAfter);
+    }
+    return libsBeforeAfter;
+  }
+
+  async createBumpPullRequest({
+    branchName, title, body, shellOptions, dryRun = false,
+  }) {
+    // Commits the changes in the working directory on a new branch, and opens a PR for it
+    const { mainBranch } = this.context.config;
+    await spawnCommand({ argv: ['git', 'checkout', '-b', branchName], ...shellOptions });
+    await spawnCommand({ argv: ['git', 'add', '.'], ...shellOptions });
+    await spawnCommand({ argv: ['git', 'commit', '-m', title], ...shellOptions });
+
+    if (dryRun) {
+      console.log(`Skipping PR creation for "${branchName}" due to dry-run mode.`);
+      console.log(`PR title would have been: ${title}`);
+      console.log(`PR body would have been: ${body}`);
+      return null;
+    }
+
+    // Push changes
+    await spawnCommand({
+      argv: ['git', 'push', '-f', 'origin', branchName], timeout: COMMAND_TIMEOUTS.git, ...shellOptions,
+    });
+    const existingPRs = await this.searchExistingPRs(branchName);
+    if (existingPRs.length > 0) {
+      // The branch was just force-pushed, the PR should describe what it now bumps
+      const [existingPR] = existingPRs;
+      console.log('PR already exists:', existingPR.html_url);
+      if (existingPR.title !== title || existingPR.body !== body) {
+        await this.octokit.pulls.update({
+          ...this.unPackRepo(),
+          pull_number: existingPR.number,
+          title,
+          body,
+        });
+        console.log(`Updated the title/body of ${existingPR.html_url}`);
+        this.context.recordAction('pr_updated', { url: existingPR.html_url, title, branch: branchName });
+      } else {
+        this.context.recordAction('pr_exists', { url: existingPR.html_url, branch: branchName });
+      }
+      return null;
+    }
+    try {
+      // Create a PR
+      const resp = await this.octokit.pulls.create({
+        ...this.unPackRepo(),
+        title,
+        head: branchName,
+        base: mainBranch,
+        body,
+      });
+      console.log(`Pull request created: ${resp.data.html_url}`);
+      this.context.recordAction('pr_created', {
+        url: resp.data.html_url, title, branch: branchName, base: mainBranch,
+      });
+
+      const prNumber = resp.data.number;
+      // Labeling the PR
+      await this.octokit.issues.addLabels({
+        ...this.unPackRepo(),
+        issue_number: prNumber,
+        labels: ['supersetbot'],
+      });
+
+      // This is stupid, but it's one of the only way to trigger the CI checks
+      console.log('Close/reopen the PR to trigger the CI checks.');
+      await this.octokit.pulls.update({
+        ...this.unPackRepo(),
+        pull_number: prNumber,
+        state: 'closed',
+      });
+      await this.octokit.pulls.update({
+        ...this.unPackRepo(),
+        pull_number: prNumber,
+        state: 'open',
+      });
+      return resp.data.html_url;
+    } catch (error) {
+      console.error(error);
+      throw error; // Rethrow the error if you want the caller to handle it
+    }
+  }
+
+  async #getLibBump({
+    pythonPackage, shellOptions, resolver = null, includeSubpackages = false, patchOnly = false,
+    vulnerability = null, verbose = false,
+  }) {
+    // Upgrades the library in the workdir, returns { status: 'unchanged' }, a failed upgrade
+    // ({ status: 'error', lib, reason }), a skipped bump with its reason
+    // ({ status: 'skipped', lib, before, after, reason }), or the PR to open for it
+    // ({ status: 'bump', lib, before, after, title, body })
+    const { reqsFiles } = this.context.config.python;
+    const pythonResolver = getPythonResolver(resolver || this.context.config.python.resolver);
+
+    // Upgrade and recompile with the configured lock tool
     let pythonPackages = [pythonPackage];
     if (includeSubpackages) {
       pythonPackages = await this.allDescendantPackages(pythonPackage);
     }
-    console.log('Packages to bump', pythonPackages);
+    console.log(`Packages to bump with ${pythonResolver.name}`, pythonPackages);
+    const failed = [];
+    /* eslint-disable no-restricted-syntax, no-await-in-loop */
     for (const lib of pythonPackages) {
       try {
-        await runShellCommand({ command: `pip-compile-multi --use-cache -P ${lib}`, ...shellOptions });
+        await upgradePythonPackage({
+          resolver: pythonResolver,
+          lib,
+          reqsFiles,
+          shellOptions,
+          specifier: lib === pythonPackage ? getUpgradeSpecifier({
+            pinned: await this.#getPinnedVersion(lib),
+            fixedVersion: vulnerability?.fixedVersion,
+            patchOnly,
+          }) : null,
+        });
       } catch (error) {
         console.error(`Error bumping "${lib}":`, error);
+        failed.push(lib);
       }
     }
-    for (const reqsFile of reqsFiles) {
-      await this.fixReqsFile(path.join(shellOptions.cwd, reqsFile));
+    /* eslint-enable no-restricted-syntax, no-await-in-loop */
+    if (failed.length) {
+      // Telling apart a failure from a no-op, the resulting diff can't be trusted
+      return {
+        status: 'error', lib: pythonPackage, reason: `${pythonResolver.name} failed for ${failed.join(', ')}`,
+      };
     }
 
-    // Diffing
-    let rawDiff = await runShellCommand({ command: 'git diff --color=never --unified=0', ...shellOptions });
-    rawDiff = rawDiff.stdout;
-
-    const libsBeforeAfter = this.processPythonReqsDiffOutput(rawDiff);
-    if (verbose && rawDiff) {
-      console.log('Diff:', rawDiff);
-      console.log('Libs before/after:', libsBeforeAfter);
-    }
+    const libsBeforeAfter = await this.#getReqsChanges(shellOptions, { verbose });
 
     let hasChanges = false;
+    /* eslint-disable no-restricted-syntax */
     for (const lib of pythonPackages) {
       const { before = null, after = null } = libsBeforeAfter[lib] || {};
       if (before !== after) {
@@ -519,95 +960,379 @@ class Github {
         console.log(`Changes detected for "${lib}": ${before} -> ${after}`);
       }
     }
+    /* eslint-enable no-restricted-syntax */
 
+    const lib = pythonPackage;
+    const { before = null, after = null } = libsBeforeAfter[lib] || {};
     if (!hasChanges) {
       console.log('No changes detected');
-    } else {
-      const lib = pythonPackage;
-      const { before = null, after = null } = libsBeforeAfter[lib] || {};
+      return { status: 'unchanged' };
+    }
+    if (patchOnly && before === after) {
+      return {
+        status: 'skipped', lib, reason: 'only subpackages changed, not a patch-level bump',
+      };
+    }
+    const violation = await this.#getPolicyViolation(
+      getBumpedLibraries(libsBeforeAfter),
+      shellOptions,
+      { lib, patchOnly, vulnerability },
+    );
+    if (violation) {
+      return { status: 'skipped', ...violation };
+    }
 
-      let commitMessage = `chore(🦾): bump python ${lib} ${before} -> ${after}`;
-      if (before === null || before === after) {
-        commitMessage = `chore(🦾): bump python ${lib} subpackage(s)`;
-      }
+    let title = `chore(🦾): bump python ${lib} ${before} -> ${after}`;
+    if (before === null || before === after) {
+      title = `chore(🦾): bump python ${lib} subpackage(s)`;
+    }
 
-      // Create branch
-      const branchName = `supersetbot-bump-${lib}`;
-      await runShellCommand({ command: `git checkout -b ${branchName}`, ...shellOptions });
+    // Make a tree representation of the dependencies
+    const tree = await this.getSubPackageTree();
+    let depTree = '';
+    // eslint-disable-next-line no-inner-declarations
+    function recurseVias(library, level = 0) {
+      depTree += `${'  '.repeat(level) + library}\n`;
+      tree[library].vias.forEach((child) => recurseVias(child, level + 1));
+      return depTree;
+    }
+    depTree = recurseVias(lib);
 
-      // Commit changes
-      await runShellCommand({ command: 'git add .', ...shellOptions });
-      await runShellCommand({ command: `git commit -m "${commitMessage}"`, ...shellOptions });
+    const tbt = '```';
+    let body = `Updates the python "${lib}" library version from ${before} to ${after}. \n\nGenerated by @supersetbot 🦾\n\n🌳:\n${tbt}\n${depTree}${tbt}`;
+    if (vulnerability) {
+      title += ' (security)';
+      body = `${body}\n\nFixes these advisories affecting ${before}:\n${renderAdvisories(vulnerability.advisories)}`;
+    }
+    return {
+      status: 'bump', lib, before, after, title, body,
+    };
+  }
+
+  async createBumpLibPullRequest({
+    pythonPackage, verbose = false, dryRun = false,
+    useCurrentRepo = false, includeSubpackages = false, resolver = null, patchOnly = false,
+    vulnerability = null,
+  }) {
+    // With a `vulnerability` (see findVulnerablePins), the library is bumped to the version
+    // fixing it, when the resolver supports targeting a version
+    const shellOptions = await this.#prepareBumpWorkdir({ useCurrentRepo, verbose });
 
-      // Make a tree representation of the dependencies
-      const tree = await this.getSubPackageTree();
-      let depTree = '';
-      // eslint-disable-next-line no-inner-declarations
-      function recurseVias(library, level = 0) {
-        depTree += `${'  '.repeat(level) + library}\n`;
-        tree[library].vias.forEach((child) => recurseVias(child, level + 1));
-        return depTree;
+    try {
+      const bump = await this.#getLibBump({
+        pythonPackage,
+        shellOptions,
+        resolver,
+        includeSubpackages,
+        patchOnly,
+        vulnerability,
+        verbose,
+      });
+      if (bump.status === 'error') {
+        throw new Error(bump.reason);
       }
-      depTree = recurseVias(lib);
+      if (bump.status === 'skipped') {
+        this.#skipBump(bump);
+      }
+      if (bump.status !== 'bump') {
+        return null;
+      }
+      return await this.createBumpPullRequest({
+        branchName: `${BUMP_BRANCH_PREFIX}${pythonPackage}`,
+        title: bump.title,
+        body: bump.body,
+        shellOptions,
+        dryRun,
+      });
+    } finally {
+      Github.cleanUpBumpWorkdir(shellOptions, useCurrentRepo);
+    }
+  }
 
-      const tbt = '```';
-      const body = `Updates the python "${lib}" library version from ${before} to ${after}. \n\nGenerated by @supersetbot 🦾\n\n🌳:\n${tbt}\n${depTree}${tbt}`;
+  async reconcileBumpPullRequests({
+    verbose = false, dryRun = false, useCurrentRepo = false, resolver = null,
+  }) {
+    // Brings the open single-library bump PRs up to date with the main branch: PRs that still
+    // bump something get the new bump force-pushed, along with a fresh title/body, unless their
+    // branch already has it, and the ones whose bump already landed or isn't allowed anymore are
+    // closed with a comment. Grouped and npm bump PRs are listed as skipped
+    const { mainBranch } = this.context.config;
+    const prs = (await this.getOpenPullRequests()).filter(({ headRef, headRepo }) => (
+      headRepo === this.context.repo && headRef.startsWith(BUMP_BRANCH_PREFIX)
+    ));
+    console.log(`Reconciling ${prs.length} open bump PR(s)`);
+
+    const results = [];
+    /* eslint-disable no-restricted-syntax, no-await-in-loop */
+    for (const { number, headRef, url } of prs) {
+      const lib = headRef.slice(BUMP_BRANCH_PREFIX.length);
+      const kind = lib.match(/^(group|npm)-/)?.[1];
+      if (kind) {
+        results.push({
+          number,
+          url,
+          lib,
+          status: 'skipped',
+          reason: kind === 'group'
+            ? 're-run `bump-python --bundle` to refresh grouped bumps'
+            : 'npm bumps are not handled by `bump-python`',
+        });
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+      let shellOptions = null;
+      try {
+        shellOptions = await this.#prepareBumpWorkdir({ useCurrentRepo, verbose });
+        const bump = await this.#getLibBump({
+          pythonPackage: lib, shellOptions, resolver, verbose,
+        });
+        if (bump.status === 'bump' && await this.#hasSameRequirements(headRef, shellOptions)) {
+          results.push({
+            number, url, lib, status: 'unchanged', before: bump.before, after: bump.after,
+          });
+        } else if (bump.status === 'bump') {
+          await this.createBumpPullRequest({
+            branchName: headRef, title: bump.title, body: bump.body, shellOptions, dryRun,
+          });
+          results.push({
+            number, url, lib, status: 'refreshed', before: bump.before, after: bump.after,
+          });
+        } else if (bump.status === 'error') {
+          // Only a real no-op or policy violation closes the PR
+          console.error(`Leaving PR #${number} as is: ${bump.reason}`);
+          results.push({
+            number, url, lib, status: 'error', reason: bump.reason,
+          });
+        } else {
+          const reason = bump.status === 'skipped'
+            ? bump.reason : `"${lib}" is already up to date on ${mainBranch}`;
+          await this.#closeObsoletePullRequest({ number, url, reason }, dryRun);
+          results.push({
+            number, url, lib, status: 'closed', reason,
+          });
+        }
+      } catch (error) {
+        console.error(`Error reconciling PR #${number}:`, error);
+        results.push({
+          number, url, lib, status: 'error', reason: error.message,
+        });
+      } finally {
+        if (shellOptions) {
+          Github.cleanUpBumpWorkdir(shellOptions, useCurrentRepo);
+        }
+      }
+    }
+    /* eslint-enable no-restricted-syntax, no-await-in-loop */
+
+    console.log(`Reconciled ${results.length} bump PR(s):`);
+    results.forEach(({
+      number, lib, status, before, after, reason,
+    }) => {
+      const details = reason || `${before} -> ${after}`;
+      console.log(`  - #${number} ${lib}: ${status}, ${details}`);
+    });
+    this.context.setResult('reconciled', results);
+    return results;
+  }
 
-      if (dryRun) {
-        console.log(`Skipping PR creation for "${lib}" due to dry-run mode.`);
-        console.log(`PR title would have been: ${commitMessage}`);
-        console.log(`PR body would have been: ${body}`);
-      } else {
-        // Push changes
-        await runShellCommand({ command: `git push -f origin ${branchName}`, ...shellOptions });
-        const existingPRs = await this.searchExistingPRs(branchName);
-        if (existingPRs.length === 0) {
-          try {
-            // Create a PR
-            const resp = await this.octokit.pulls.create({
-              ...this.unPackRepo(),
-              title: commitMessage,
-              head: branchName,
-              base: 'master',
-              body,
-            });
-            console.log(`Pull request created: ${resp.data.html_url}`);
-
-            const prNumber = resp.data.number;
-            // Labeling the PR
-            await this.octokit.issues.addLabels({
-              ...this.unPackRepo(),
-              issue_number: prNumber,
-              labels: ['supersetbot'],
-            });
-
-            // This is stupid, but it's one of the only way to trigger the CI checks
-            console.log('Close/reopen the PR to trigger the CI checks.');
-            await this.octokit.pulls.update({
-              ...this.unPackRepo(),
-              pull_number: prNumber,
-              state: 'closed',
-            });
-            await this.octokit.pulls.update({
-              ...this.unPackRepo(),
-              pull_number: prNumber,
-              state: 'open',
-            });
-            return resp.data.html_url;
-          } catch (error) {
-            console.error(error);
-            throw error; // Rethrow the error if you want the caller to handle it
-          }
+  async #hasSameRequirements(branchName, shellOptions) {
+    // Whether the branch already has the requirements files recompiled in the workdir
+    const { reqsFiles } = this.context.config.python;
+    await spawnCommand({
+      argv: ['git', 'fetch', 'origin', branchName], timeout: COMMAND_TIMEOUTS.git, ...shellOptions,
+    });
+    const { stdout } = await spawnCommand({
+      argv: ['git', 'diff', 'FETCH_HEAD', '--', ...reqsFiles], ...shellOptions,
+    });
+    return !stdout.trim();
+  }
+
+  async #closeObsoletePullRequest({ number, url, reason }, dryRun = false) {
+    if (dryRun) {
+      console.log(`Skipping closing obsolete PR #${number} due to dry-run mode: ${reason}`);
+      return;
+    }
+    await this.octokit.rest.issues.createComment({
+      ...this.unPackRepo(),
+      issue_number: number,
+      body: `Closing this PR as it's obsolete: ${reason}. A new one will be opened when there's something to bump.\n\nGenerated by @supersetbot 🦾`,
+    });
+    await this.octokit.pulls.update({
+      ...this.unPackRepo(),
+      pull_number: number,
+      state: 'closed',
+    });
+    console.log(`Closed obsolete PR ${url}`);
+    this.context.recordAction('pr_closed', { url, reason });
+  }
+
+  async createGroupedBumpPullRequest({
+    name, packages, verbose = false, dryRun = false, useCurrentRepo = false, resolver = null,
+    patchOnly = false, vulnerabilities = [],
+  }) {
+    // Bumps all the packages on a single branch. Each successful upgrade is staged, so that a
+    // package that doesn't resolve with the rest can be discarded and get its own PR instead
+    const { reqsFiles } = this.context.config.python;
+    const pythonResolver = getPythonResolver(resolver || this.context.config.python.resolver);
+    const shellOptions = await this.#prepareBumpWorkdir({ useCurrentRepo, verbose });
+    const discardUnstaged = async () => {
+      await spawnCommand({ argv: ['git', 'checkout', '--', '.'], ...shellOptions });
+      await spawnCommand({ argv: ['git', 'clean', '-f'], ...shellOptions });
+    };
+    const isolated = [];
+    let url = null;
+
+    const getVulnerability = (lib) => vulnerabilities
+      .find((v) => normalizePackageName(v.lib) === normalizePackageName(lib)) || null;
+
+    try {
+      /* eslint-disable no-restricted-syntax, no-await-in-loop */
+      for (const lib of packages) {
+        try {
+          await upgradePythonPackage({
+            resolver: pythonResolver,
+            lib,
+            reqsFiles,
+            shellOptions,
+            specifier: getUpgradeSpecifier({
+              pinned: await this.#getPinnedVersion(lib),
+              fixedVersion: getVulnerability(lib)?.fixedVersion,
+              patchOnly,
+            }),
+          });
+        } catch (error) {
+          console.error(`"${lib}" doesn't resolve with the rest of the group, isolating it`);
+          isolated.push(lib);
+          await discardUnstaged();
+          // eslint-disable-next-line no-continue
+          continue;
+        }
+        const violation = await this.#getPolicyViolation(
+          getBumpedLibraries(await this.#getReqsChanges(shellOptions)),
+          shellOptions,
+          { lib, patchOnly, vulnerability: getVulnerability(lib) },
+        );
+        if (violation) {
+          this.#skipBump(violation);
+          await discardUnstaged();
         } else {
-          console.log('PR already exists:', existingPRs[0].html_url);
+          await spawnCommand({ argv: ['git', 'add', '.'], ...shellOptions });
         }
       }
+      /* eslint-enable no-restricted-syntax, no-await-in-loop */
+
+      const bumps = getBumpedLibraries(
+        await this.#getReqsChanges(shellOptions, { staged: true, verbose }),
+      );
+      if (bumps.length === 0) {
+        console.log('No changes detected');
+      } else {
+        const title = `chore(🦾): bump python ${name} group (${bumps.length} libraries)`;
+        let body = `Updates the python "${name}" group of libraries.\n\n${renderBumpTable(bumps)}`;
+        if (isolated.length) {
+          body += `\n\nThese didn't resolve with the rest, each gets its own PR: ${isolated.join(', ')}`;
+        }
+        const fixed = bumps.map(({ lib }) => getVulnerability(lib)).filter((v) => !!v);
+        if (fixed.length) {
+          body += `\n\nFixes these advisories:\n${renderAdvisories(fixed.flatMap((v) => v.advisories))}`;
+        }
+        body += '\n\nGenerated by @supersetbot 🦾';
+        url = await this.createBumpPullRequest({
+          branchName: `${BUMP_BRANCH_PREFIX}group-${name.replace(/[^a-zA-Z0-9]+/g, '-')}`,
+          title,
+          body,
+          shellOptions,
+          dryRun,
+        });
+      }
+    } finally {
+      Github.cleanUpBumpWorkdir(shellOptions, useCurrentRepo);
     }
-    // Cleaning up
-    if (!useCurrentRepo) {
-      fs.rmSync(shellOptions.cwd, { recursive: true, force: true });
+
+    // Falling back to one PR per library for the ones that failed with the group
+    /* eslint-disable no-restricted-syntax, no-await-in-loop */
+    for (const lib of isolated) {
+      try {
+        await this.createBumpLibPullRequest({
+          pythonPackage: lib,
+          verbose,
+          dryRun,
+          useCurrentRepo,
+          resolver,
+          patchOnly,
+          vulnerability: getVulnerability(lib),
+        });
+      } catch (error) {
+        console.error(`Error creating PR for "${lib}":`, error);
+      }
+    }
+    /* eslint-enable no-restricted-syntax, no-await-in-loop */
+    return url;
+  }
+
+  async createBumpNpmPullRequest({
+    npmPackage = null, group = null, match = null, verbose = false, dryRun = false,
+    useCurrentRepo = false,
+  }) {
+    // Updates one package, or a group of them in a single PR, within the ranges of package.json
+    const { dir } = this.context.config.npm;
+    const shellOptions = await this.#prepareBumpWorkdir({ useCurrentRepo, verbose });
+    const npmDir = path.join(shellOptions.cwd, dir);
+
+    try {
+      const { packageJson, lockfile: lockBefore } = await readNpmProject(npmDir);
+      const packages = npmPackage
+        ? [npmPackage]
+        : getNpmDependencies(packageJson, { group, match }).map(({ name }) => name);
+      if (packages.length === 0) {
+        console.log('No npm packages to bump');
+        return null;
+      }
+      console.log('Npm packages to bump', packages);
+      await spawnCommand({
+        argv: getNpmUpdateArgv(packages),
+        timeout: COMMAND_TIMEOUTS.npm,
+        ...shellOptions,
+        cwd: npmDir,
+      });
+
+      const { lockfile: lockAfter } = await readNpmProject(npmDir);
+      const changes = getNpmLockChanges(lockBefore, lockAfter);
+      const bumps = getBumpedLibraries(changes).filter(({ lib }) => packages.includes(lib));
+      if (verbose) {
+        console.log('Lockfile changes:', changes);
+      }
+      if (bumps.length === 0) {
+        console.log('No changes detected');
+        return null;
+      }
+
+      let name = npmPackage;
+      let title;
+      if (npmPackage) {
+        const [{ before, after }] = bumps;
+        title = `chore(🦾): bump npm ${npmPackage} ${before} -> ${after}`;
+      } else {
+        name = [group || 'all', match].filter((s) => !!s).join(' ');
+        title = `chore(🦾): bump npm ${name} group (${bumps.length} packages)`;
+      }
+      const others = Object.keys(changes).length - bumps.length;
+      const body = [
+        `Updates npm packages in \`${dir}\` within the ranges of package.json.`,
+        renderBumpTable(bumps),
+        others ? `The lockfile also updates ${others} transitive package(s).` : null,
+        'Generated by @supersetbot 🦾',
+      ].filter((s) => !!s).join('\n\n');
+      return await this.createBumpPullRequest({
+        branchName: `${BUMP_BRANCH_PREFIX}npm-${name.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+        title,
+        body,
+        shellOptions,
+        dryRun,
+      });
+    } finally {
+      Github.cleanUpBumpWorkdir(shellOptions, useCurrentRepo);
     }
-    return null;
   }
 }
 
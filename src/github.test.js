@@ -0,0 +1,381 @@
+import { jest } from '@jest/globals';
+
+const actualUtils = await import('./utils.js');
+const spawnCommand = jest.fn();
+jest.unstable_mockModule('./utils.js', () => ({ ...actualUtils, spawnCommand }));
+
+const { default: Context } = await import('./context.js');
+const { default: Github } = await import('./github.js');
+
+function mockOctokit() {
+  const list = Object.assign(jest.fn(), { endpoint: { merge: jest.fn() } });
+  return {
+    paginate: jest.fn(),
+    rest: {
+      pulls: { list, get: jest.fn() },
+      issues: { createComment: jest.fn() },
+    },
+    pulls: { create: jest.fn(), update: jest.fn() },
+    issues: { addLabels: jest.fn() },
+  };
+}
+
+function mockSpawnCommand({ diffs = {}, failing = [], pushed = [] }) {
+  // The library being upgraded decides what `git diff` shows next, `pushed` libraries already
+  // have that diff on their bump branch
+  let current = null;
+  spawnCommand.mockImplementation(async ({ argv }) => {
+    if (argv[0] === 'uv') {
+      [current] = argv.slice(5);
+      if (failing.includes(current)) {
+        throw new Error(`Command failed with exit code 1: can't resolve ${current}`);
+      }
+    }
+    if (argv[0] === 'git' && argv[1] === 'diff' && argv[2] === 'FETCH_HEAD') {
+      return { stdout: pushed.includes(current) ? '' : diffs[current] || '', stderr: '' };
+    }
+    if (argv[0] === 'git' && argv[1] === 'diff') {
+      return { stdout: diffs[current] || '', stderr: '' };
+    }
+    return { stdout: '', stderr: '' };
+  });
+}
+
+describe('reconcileBumpPullRequests', () => {
+  let context;
+  let github;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    context = new Context('CLI');
+    context.repo = 'apache/superset';
+    github = new Github({ context, token: 'test-token' });
+    github.octokit = mockOctokit();
+    jest.spyOn(github, 'getSubPackageTree').mockResolvedValue({
+      flask: { version: '2.2.5', deps: [], vias: [] },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openPR = (number, ref, repo = 'apache/superset') => ({
+    number,
+    html_url: `https://github.com/apache/superset/pull/${number}`,
+    head: { ref, repo: { full_name: repo } },
+  });
+
+  const reconcile = () => github.reconcileBumpPullRequests({ useCurrentRepo: true, resolver: 'uv' });
+
+  it('refreshes the PRs that still bump something', async () => {
+    github.octokit.paginate.mockResolvedValue([openPR(1, 'supersetbot-bump-flask')]);
+    github.octokit.rest.pulls.list.mockResolvedValue({
+      data: [{
+        number: 1, title: 'chore(🦾): bump python flask 2.2.5 -> 2.3.0', body: 'old', html_url: 'url',
+      }],
+    });
+    mockSpawnCommand({ diffs: { flask: '-flask==2.2.5\n+flask==2.3.3\n' } });
+
+    const results = await reconcile();
+
+    expect(results).toEqual([expect.objectContaining({
+      number: 1, status: 'refreshed', before: '2.2.5', after: '2.3.3',
+    })]);
+    expect(spawnCommand).toHaveBeenCalledWith(expect.objectContaining({
+      argv: ['git', 'push', '-f', 'origin', 'supersetbot-bump-flask'],
+    }));
+    expect(github.octokit.pulls.update).toHaveBeenCalledWith(expect.objectContaining({
+      pull_number: 1, title: 'chore(🦾): bump python flask 2.2.5 -> 2.3.3',
+    }));
+    expect(github.octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  it('leaves the PRs alone when their branch already has the bump', async () => {
+    github.octokit.paginate.mockResolvedValue([openPR(1, 'supersetbot-bump-flask')]);
+    mockSpawnCommand({ diffs: { flask: '-flask==2.2.5\n+flask==2.3.3\n' }, pushed: ['flask'] });
+
+    const results = await reconcile();
+
+    expect(results).toEqual([expect.objectContaining({
+      number: 1, status: 'unchanged', before: '2.2.5', after: '2.3.3',
+    })]);
+    expect(spawnCommand).not.toHaveBeenCalledWith(expect.objectContaining({
+      argv: expect.arrayContaining(['push']),
+    }));
+    expect(github.octokit.pulls.update).not.toHaveBeenCalled();
+  });
+
+  it('closes the PRs whose bump is a no-op, listing grouped and npm ones as skipped', async () => {
+    github.octokit.paginate.mockResolvedValue([
+      openPR(2, 'supersetbot-bump-click'),
+      openPR(3, 'supersetbot-bump-group-postgres'),
+      openPR(4, 'supersetbot-bump-npm-d3-scale'),
+      openPR(5, 'supersetbot-bump-click', 'someone/superset'),
+    ]);
+    mockSpawnCommand({});
+
+    const results = await reconcile();
+
+    expect(results).toEqual([
+      expect.objectContaining({
+        number: 2, status: 'closed', reason: '"click" is already up to date on master',
+      }),
+      expect.objectContaining({
+        number: 3, status: 'skipped', reason: expect.stringContaining('--bundle'),
+      }),
+      expect.objectContaining({
+        number: 4, status: 'skipped', reason: expect.stringContaining('npm'),
+      }),
+    ]);
+    expect(github.octokit.pulls.update).toHaveBeenCalledTimes(1);
+    expect(github.octokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+      issue_number: 2,
+      body: expect.stringContaining('already up to date on master'),
+    }));
+    expect(github.octokit.pulls.update).toHaveBeenCalledWith(expect.objectContaining({
+      pull_number: 2, state: 'closed',
+    }));
+    expect(context.actions).toContainEqual(expect.objectContaining({ type: 'pr_closed' }));
+  });
+
+  it("doesn't close PRs when the resolver fails", async () => {
+    github.octokit.paginate.mockResolvedValue([openPR(6, 'supersetbot-bump-werkzeug')]);
+    mockSpawnCommand({ failing: ['werkzeug'] });
+
+    const results = await reconcile();
+
+    expect(results).toEqual([expect.objectContaining({
+      number: 6, status: 'error', reason: 'uv failed for werkzeug',
+    })]);
+    expect(github.octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    expect(github.octokit.pulls.update).not.toHaveBeenCalled();
+    expect(spawnCommand).not.toHaveBeenCalledWith(expect.objectContaining({
+      argv: expect.arrayContaining(['push']),
+    }));
+  });
+});
+
+describe('createAllBumpPRs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses security bumps with a resolver that can only upgrade to the latest', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const context = new Context('CLI');
+    context.repo = 'apache/superset';
+    const github = new Github({ context, token: 'test-token' });
+    const getVulnerablePins = jest.spyOn(github, 'getVulnerablePins');
+
+    await expect(github.createAllBumpPRs({
+      vulnerableOnly: true, advisories: 'osv/PyPI', resolver: 'pip-compile-multi',
+    })).rejects.toThrow('exit 1');
+    expect(context.errorLogs).toEqual([expect.stringContaining('--vulnerable-only needs a resolver')]);
+    expect(getVulnerablePins).not.toHaveBeenCalled();
+  });
+
+  it('moves patch-only bumps to the latest patch release of the pinned version', async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const context = new Context('CLI');
+    context.repo = 'apache/superset';
+    const github = new Github({ context, token: 'test-token' });
+    github.octokit = mockOctokit();
+    jest.spyOn(github, 'getSubPackageTree').mockResolvedValue({
+      flask: { version: '2.2.2', deps: [], vias: [] },
+    });
+    mockSpawnCommand({ diffs: { 'flask<2.3': '-flask==2.2.2\n+flask==2.2.5\n' } });
+
+    await github.createBumpLibPullRequest({
+      pythonPackage: 'flask', useCurrentRepo: true, resolver: 'uv', patchOnly: true, dryRun: true,
+    });
+
+    expect(spawnCommand).toHaveBeenCalledWith(expect.objectContaining({
+      argv: expect.arrayContaining(['--upgrade-package', 'flask<2.3']),
+    }));
+    expect(context.actions).not.toContainEqual(expect.objectContaining({ type: 'bump_skipped' }));
+  });
+});
+
+describe('createBackportPullRequest', () => {
+  const SHA = 'abc1234';
+  let context;
+  let github;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    context = new Context('CLI');
+    context.repo = 'apache/superset';
+    github = new Github({ context, token: 'test-token' });
+    github.octokit = mockOctokit();
+    github.octokit.rest.pulls.list.mockResolvedValue({ data: [] });
+    github.octokit.rest.pulls.get.mockResolvedValue({ data: { title: 'fix: a bug' } });
+    github.octokit.pulls.create.mockResolvedValue({
+      data: { number: 12, html_url: 'https://github.com/apache/superset/pull/12' },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const HEAD_SHA = 'f'.repeat(40);
+  const mockGit = ({ conflicts = [], detached = false, failPush = false } = {}) => {
+    // Keeps track of the checkout, like git refusing to delete the branch it's on
+    let checkedOut = detached ? HEAD_SHA : 'master';
+    spawnCommand.mockImplementation(async ({ argv, raiseOnError = true }) => {
+      const fail = (msg) => {
+        if (raiseOnError) {
+          throw new Error(msg);
+        }
+        return { stdout: '', stderr: msg };
+      };
+      if (argv[1] === 'rev-parse') {
+        const abbrev = detached ? 'HEAD' : 'master';
+        return { stdout: `${argv[2] === '--abbrev-ref' ? abbrev : HEAD_SHA}\n`, stderr: '' };
+      }
+      if (argv[1] === 'checkout' && argv[2] !== 'HEAD') {
+        checkedOut = argv[argv[2] === '-B' ? 3 : 2];
+      }
+      if (argv[1] === 'branch' && argv[3] === checkedOut) {
+        return fail(`error: Cannot delete branch '${checkedOut}' checked out`);
+      }
+      if (argv[1] === 'cherry-pick' && argv[2] === '-x' && conflicts.length) {
+        throw new Error('Command failed with exit code 1');
+      }
+      if (argv[1] === 'push' && failPush) {
+        throw new Error('Command failed with exit code 128');
+      }
+      if (argv[1] === 'diff') {
+        return { stdout: conflicts.join('\n'), stderr: '' };
+      }
+      return { stdout: '', stderr: '' };
+    });
+  };
+  const gitCommands = () => spawnCommand.mock.calls.map(([{ argv }]) => argv.join(' '));
+  const backport = () => github.createBackportPullRequest({ prId: 42, sha: SHA, targetBranch: '4.1' });
+
+  it('pushes the cherry-pick and opens a PR', async () => {
+    mockGit();
+
+    expect(await backport()).toEqual('https://github.com/apache/superset/pull/12');
+    expect(gitCommands()).toEqual([
+      'git rev-parse --abbrev-ref HEAD',
+      'git fetch origin 4.1',
+      'git checkout -B supersetbot-backport-42-4.1 origin/4.1',
+      `git cherry-pick -x ${SHA}`,
+      'git push -f origin supersetbot-backport-42-4.1',
+      'git checkout master',
+      'git branch -D supersetbot-backport-42-4.1',
+    ]);
+    expect(spawnCommand).toHaveBeenCalledWith(expect.objectContaining({
+      argv: ['git', 'push', '-f', 'origin', 'supersetbot-backport-42-4.1'],
+      timeout: actualUtils.COMMAND_TIMEOUTS.git,
+    }));
+    expect(github.octokit.pulls.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: '[4.1] fix: a bug', head: 'supersetbot-backport-42-4.1', base: '4.1',
+    }));
+    expect(context.actions).toContainEqual(expect.objectContaining({ type: 'pr_created', prId: 42 }));
+  });
+
+  it('reports the conflicting files and pushes nothing', async () => {
+    mockGit({ conflicts: ['superset/views/core.py', 'setup.py'] });
+
+    expect(await backport()).toBeNull();
+    expect(gitCommands()).toContain('git cherry-pick --abort');
+    expect(gitCommands()).toEqual(expect.arrayContaining([
+      'git checkout master', 'git branch -D supersetbot-backport-42-4.1',
+    ]));
+    expect(gitCommands().some((command) => command.includes('push'))).toBe(false);
+    expect(github.octokit.pulls.create).not.toHaveBeenCalled();
+    expect(context.errors).toEqual([
+      'cherry-picking #42 onto "4.1" failed with conflicts in: superset/views/core.py, setup.py',
+    ]);
+  });
+
+  it('goes back to the original SHA on a detached HEAD', async () => {
+    mockGit({ detached: true, conflicts: ['setup.py'] });
+
+    expect(await backport()).toBeNull();
+    expect(gitCommands().slice(-3)).toEqual([
+      'git cherry-pick --abort',
+      `git checkout ${HEAD_SHA}`,
+      'git branch -D supersetbot-backport-42-4.1',
+    ]);
+    expect(context.errors).toEqual([
+      'cherry-picking #42 onto "4.1" failed with conflicts in: setup.py',
+    ]);
+  });
+
+  it('goes back to the original ref when pushing fails', async () => {
+    mockGit({ failPush: true });
+
+    await expect(backport()).rejects.toThrow('exit code 128');
+    expect(gitCommands().slice(-2)).toEqual([
+      'git checkout master', 'git branch -D supersetbot-backport-42-4.1',
+    ]);
+    expect(github.octokit.pulls.create).not.toHaveBeenCalled();
+  });
+
+  it("doesn't push over an open backport PR", async () => {
+    mockGit();
+    github.octokit.rest.pulls.list.mockResolvedValue({
+      data: [{ number: 7, html_url: 'https://github.com/apache/superset/pull/7' }],
+    });
+
+    expect(await backport()).toEqual('https://github.com/apache/superset/pull/7');
+    expect(github.octokit.rest.pulls.list).toHaveBeenCalledWith(expect.objectContaining({
+      head: 'apache:supersetbot-backport-42-4.1',
+    }));
+    expect(spawnCommand).not.toHaveBeenCalled();
+    expect(github.octokit.pulls.create).not.toHaveBeenCalled();
+    expect(context.actions).toContainEqual(expect.objectContaining({ type: 'pr_exists' }));
+  });
+});
+
+describe('authorizeCommand', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only reports an error once the whole policy denies the command', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const context = new Context('GHA');
+    context.repo = 'apache/superset';
+    context.config = {
+      ...context.config,
+      policy: { rebase: [{ roles: ['committers', 'permission:write'] }] },
+    };
+    const github = new Github({ context, token: 'test-token' });
+    const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+    github.octokit = {
+      teams: { getMembershipForUserInOrg: jest.fn().mockRejectedValue(notFound) },
+      repos: { getCollaboratorPermissionLevel: jest.fn() },
+    };
+
+    github.octokit.repos.getCollaboratorPermissionLevel
+      .mockResolvedValueOnce({ data: { role_name: 'write' } });
+    const decision = await github.authorizeCommand({ command: 'rebase', actor: 'bob' });
+    expect(decision).toEqual(expect.objectContaining({ allowed: true, role: 'permission:write' }));
+    expect(context.hasErrors).toBe(false);
+    expect(context.errorLogs).toEqual([]);
+
+    github.octokit.repos.getCollaboratorPermissionLevel
+      .mockResolvedValueOnce({ data: { role_name: 'read' } });
+    await expect(github.authorizeCommand({ command: 'rebase', actor: 'bob' }))
+      .rejects.toThrow('requires one of: committers, permission:write');
+    expect(context.errors).toEqual([
+      'user "bob" is not authorized to run "rebase", requires one of: committers, permission:write',
+    ]);
+  });
+});
@@ -1,28 +1,95 @@
+import { CommanderError } from 'commander';
+
 import getCLI from './cli.js';
-import Context from './context.js';
+import Context, { ContextExitError } from './context.js';
 import Github from './github.js';
+import { PolicyDeniedError } from './policy.js';
 
-export async function runCommandFromGithubAction(rawCommand) {
-  // Trimming the command
-  let cmd = rawCommand.trim();
-  if (cmd.startsWith('\\@')) {
-    cmd = cmd.replace('\\@', '@');
-  }
-  if (!cmd.startsWith('@supersetbot')) {
-    console.error("ERROR: command should start with '@supersetbot'");
-    process.exit(1);
-  }
+const mentionRegex = /\\?@supersetbot\b/;
 
+export function extractCommands(commentBody) {
+  // Returns every `@supersetbot ...` line of a comment, skipping fenced code blocks and
+  // quoted replies, starting from the mention so prose before it on the line is ignored
+  const commands = [];
+  let fence = null;
+  commentBody.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    const fenceMatch = line.match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        [fence] = fenceMatch;
+      } else if (line.startsWith(fence)) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence || line.startsWith('>')) {
+      return;
+    }
+    const match = line.match(mentionRegex);
+    if (match) {
+      commands.push(line.slice(match.index).replace('\\@', '@').trim());
+    }
+  });
+  return commands;
+}
+
+async function runCommand(cmd) {
   const context = new Context('GHA');
+  // A fresh CLI for each command, commander keeps option values around between parses
   const cli = getCLI(context);
-  const github = new Github(context);
+  cli.exitOverride();
 
-  // Make rawCommand look like argv
-  cmd = cmd.replace('@supersetbot', 'supersetbot');
-  const args = context.parseArgs(cmd);
+  // Make the command look like argv
+  context.command = cmd.replace('@supersetbot', 'supersetbot');
+  const args = context.parseArgs(context.command);
 
-  await cli.parseAsync(['node', ...args]);
+  try {
+    await cli.parseAsync(['node', ...args]);
+  } catch (error) {
+    // Denials, exits and wrapped API calls are already logged
+    if (error instanceof CommanderError) {
+      if (error.exitCode !== 0) {
+        context.logError(error.message);
+      }
+    } else if (error instanceof ContextExitError) {
+      if (error.exitCode !== 0 && !context.hasErrors) {
+        context.logError(error.message);
+      }
+    } else if (!(error instanceof PolicyDeniedError) && !context.isErrorLogged(error)) {
+      context.logError(error.message || error);
+    }
+    // The postAction hook doesn't run when the action throws
+    context.flushOutput();
+  }
   const msg = await context.onDone();
+  return { context, msg };
+}
+
+export async function runCommandFromGithubAction(rawComment) {
+  const commands = extractCommands(rawComment);
+  if (commands.length === 0) {
+    console.error("ERROR: comment should contain at least one command starting with '@supersetbot'");
+    process.exit(1);
+  }
+
+  const results = [];
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const cmd of commands) {
+    // Running sequentially as commands may depend on each other (ie: label then rebase)
+    results.push(await runCommand(cmd));
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+
+  let comment = results.map(({ msg }) => msg).join('\n\n');
+  if (results.length > 1) {
+    const failed = results.filter(({ context }) => context.hasErrors).length;
+    const summary = `**Ran ${results.length} commands: ${results.length - failed} succeeded, ${failed} failed**`;
+    comment = `${summary}\n\n${comment}`;
+  }
 
-  github.createComment(msg);
+  const { context } = results[0];
+  const issueNumber = context.issueNumber || process.env.GITHUB_ISSUE_NUMBER;
+  const github = new Github({ context, issueNumber });
+  await github.createComment(comment);
 }
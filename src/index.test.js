@@ -2,7 +2,31 @@ import { jest } from '@jest/globals';
 import Context from './context.js';
 import Github from './github.js';
 
-import { runCommandFromGithubAction } from './index.js';
+import { runCommandFromGithubAction, extractCommands } from './index.js';
+
+describe('extractCommands', () => {
+  it('extracts every command, ignoring code blocks and quotes', () => {
+    const comment = [
+      'Thanks for the fix!',
+      '@supersetbot label "review:checkpoint"',
+      '> @supersetbot rebase',
+      '```',
+      '@supersetbot label nope',
+      '```',
+      'and then please @supersetbot rebase',
+      '\\@supersetbot orglabel',
+    ].join('\n');
+    expect(extractCommands(comment)).toEqual([
+      '@supersetbot label "review:checkpoint"',
+      '@supersetbot rebase',
+      '@supersetbot orglabel',
+    ]);
+  });
+
+  it('ignores lookalike mentions', () => {
+    expect(extractCommands('@supersetbotfoo label x')).toEqual([]);
+  });
+});
 
 describe('runCommandFromGithubAction', () => {
   const labelSpy = jest.spyOn(Github.prototype, 'label').mockImplementation(jest.fn());
@@ -11,6 +35,8 @@ describe('runCommandFromGithubAction', () => {
   const doneCommentSpy = jest.spyOn(Context.prototype, 'doneComment');
   const parseArgsSpy = jest.spyOn(Context.prototype, 'parseArgs');
   jest.spyOn(Github.prototype, 'createComment').mockImplementation(jest.fn());
+  jest.spyOn(Github.prototype, 'getIssueAuthor').mockResolvedValue('author');
+  const permissionSpy = jest.spyOn(Github.prototype, 'getCollaboratorPermission');
 
   let originalEnv;
 
@@ -19,9 +45,11 @@ describe('runCommandFromGithubAction', () => {
   });
   beforeEach(() => {
     jest.clearAllMocks();
-    originalEnv = process.env;
+    originalEnv = { ...process.env };
+    process.env.GITHUB_TOKEN = 'test-token';
     process.env.GITHUB_ISSUE_NUMBER = '666';
     process.env.GITHUB_REPOSITORY = 'apache/superset';
+    permissionSpy.mockResolvedValue('write');
   });
 
   it('should strip the command', async () => {
@@ -47,4 +75,62 @@ describe('runCommandFromGithubAction', () => {
     const comment = doneCommentSpy.mock.results[0].value;
     expect(comment).toContain('> `supersetbot label test-label`');
   });
+
+  it('should deny commands the actor is not authorized to run', async () => {
+    permissionSpy.mockResolvedValue('read');
+    await runCommandFromGithubAction('@supersetbot label test-label');
+    expect(labelSpy).not.toHaveBeenCalled();
+    const comment = doneCommentSpy.mock.results[0].value;
+    expect(comment).toContain('is not authorized to run "label"');
+  });
+
+  it('should deny config overrides from comments', async () => {
+    const backportSpy = jest.spyOn(Github.prototype, 'createBackportPullRequest').mockImplementation(jest.fn());
+    permissionSpy.mockResolvedValue('none');
+    await runCommandFromGithubAction('@supersetbot --set \'policy={"cherry-pick":[{"roles":["anyone"]}]}\' cherry-pick 1 --to 4.1');
+    await runCommandFromGithubAction('@supersetbot --set \'policy={"label":[{"roles":["anyone"]}]}\' label test-label');
+    await runCommandFromGithubAction('@supersetbot --config /etc/passwd label test-label');
+    expect(backportSpy).not.toHaveBeenCalled();
+    expect(labelSpy).not.toHaveBeenCalled();
+    doneCommentSpy.mock.results.forEach(({ value }) => {
+      expect(value).toContain("--config and --set can't be used in comment-triggered commands");
+      expect(value).not.toContain('root:');
+    });
+    backportSpy.mockRestore();
+  });
+
+  it('should run multiple commands and post a single consolidated comment', async () => {
+    const createCommentSpy = Github.prototype.createComment;
+    await runCommandFromGithubAction('@supersetbot label a\nsome prose\n@supersetbot label b');
+    expect(labelSpy).toHaveBeenCalledTimes(2);
+    expect(createCommentSpy).toHaveBeenCalledTimes(1);
+    const comment = createCommentSpy.mock.calls[0][0];
+    expect(comment).toContain('Ran 2 commands: 2 succeeded, 0 failed');
+    expect(comment).toContain('> `supersetbot label a`');
+    expect(comment).toContain('> `supersetbot label b`');
+  });
+
+  it('keeps running the other commands when one exits', async () => {
+    const createCommentSpy = Github.prototype.createComment;
+    await runCommandFromGithubAction('@supersetbot cherry-pick abc --to 4.1\n@supersetbot label b');
+    expect(labelSpy).toHaveBeenCalledTimes(1);
+    expect(createCommentSpy).toHaveBeenCalledTimes(1);
+    const comment = createCommentSpy.mock.calls[0][0];
+    expect(comment).toContain('Ran 2 commands: 1 succeeded, 1 failed');
+    expect(comment).toContain('a PR number is required');
+  });
+
+  it('reports a failed API call once', async () => {
+    const createCommentSpy = Github.prototype.createComment;
+    labelSpy.mockImplementationOnce(function () {
+      const wrapped = this.context.commandWrapper({
+        func: async () => { throw new Error('Bad credentials'); },
+      });
+      return wrapped();
+    });
+    await runCommandFromGithubAction('@supersetbot label a\n@supersetbot label b');
+    const comment = createCommentSpy.mock.calls[0][0];
+    expect(comment).toContain('Ran 2 commands: 1 succeeded, 1 failed');
+    expect(comment.split('Bad credentials')).toHaveLength(2);
+  });
 });
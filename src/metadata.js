@@ -34,3 +34,22 @@ export const PROTECTED_LABEL_PATTERNS = [
   '(🚢|🍒|🎯).*',
 ];
 export const COMMITTER_TEAM = 'apache/superset-committers';
+export const MAIN_BRANCH = 'master';
+export const DOCKER_REPO = 'viveksingh27/bi-superset';
+export const BASE_PY_IMAGE = '3.10-slim-bookworm';
+export const DOCKER_LICENSES = 'Apache-2.0';
+// The first file is considered the "base" requirements file
+export const REQS_FILES = ['requirements/base.txt', 'requirements/development.txt'];
+export const NPM_DIR = 'superset-frontend';
+export const DOCKER_PLATFORMS = ['linux/amd64', 'linux/arm64'];
+// Docker build presets, a `null` pyVer means the configured `docker.basePyImage` is used,
+// and the tag suffix defaults to the preset name
+export const DOCKER_PRESETS = {
+  lean: { target: 'lean', tagSuffix: '' },
+  dev: { target: 'dev' },
+  ci: { target: 'ci' },
+  py310: { target: 'lean', pyVer: '3.10-slim-bookworm' },
+  py311: { target: 'lean', pyVer: '3.11-slim-bookworm' },
+  websocket: { target: null, context: 'superset-websocket' },
+  dockerize: { target: null, dockerfile: 'dockerize.Dockerfile' },
+};
@@ -0,0 +1,78 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { globToRegExp } from './utils.js';
+
+export const NPM_GROUPS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+export function getNpmDependencies(packageJson, { group = null, match = null } = {}) {
+  // [{ name, range }] declared in package.json, for one dependency type or all of them
+  const groups = !group || group === 'all' ? NPM_GROUPS : [group];
+  const regex = match ? globToRegExp(match) : null;
+  return groups
+    .flatMap((g) => Object.entries(packageJson[g] || {}))
+    .map(([name, range]) => ({ name, range }))
+    .filter(({ name }) => !regex || regex.test(name));
+}
+
+export function parseNpmLockfile(lockfile) {
+  // Versions of the top-level packages, from a v2/v3 lockfile or a v1 one
+  const versions = {};
+  if (lockfile.packages) {
+    Object.entries(lockfile.packages).forEach(([key, { version }]) => {
+      const match = key.match(/^node_modules\/((@[^/]+\/)?[^/]+)$/);
+      if (match && version) {
+        versions[match[1]] = version;
+      }
+    });
+  } else {
+    Object.entries(lockfile.dependencies || {}).forEach(([name, { version }]) => {
+      versions[name] = version;
+    });
+  }
+  return versions;
+}
+
+export function getNpmLockChanges(before, after) {
+  // Same shape as Github.processPythonReqsDiffOutput, { lib: { before, after } }
+  const [versionsBefore, versionsAfter] = [before, after].map(parseNpmLockfile);
+  const changes = {};
+  new Set([...Object.keys(versionsBefore), ...Object.keys(versionsAfter)]).forEach((lib) => {
+    const versions = { before: versionsBefore[lib] || null, after: versionsAfter[lib] || null };
+    if (versions.before !== versions.after) {
+      changes[lib] = versions;
+    }
+  });
+  return changes;
+}
+
+export function getNpmUpdateArgv(packages) {
+  // `npm update` stays within the ranges of package.json, which it leaves untouched
+  return ['npm', 'update', ...packages, '--package-lock-only', '--ignore-scripts', '--no-audit', '--no-fund'];
+}
+
+export async function readNpmProject(dir) {
+  const readJson = async (file) => JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+  return {
+    packageJson: await readJson('package.json'),
+    lockfile: await readJson('package-lock.json'),
+  };
+}
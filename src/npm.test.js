@@ -0,0 +1,68 @@
+import {
+  getNpmDependencies, getNpmLockChanges, getNpmUpdateArgv, parseNpmLockfile,
+} from './npm.js';
+
+const PACKAGE_JSON = {
+  dependencies: { '@superset-ui/core': 'file:packages/superset-ui-core', 'd3-scale': '^2.1.2' },
+  devDependencies: { '@babel/core': '^7.23.9', jest: '^29.7.0' },
+};
+
+describe('getNpmDependencies', () => {
+  it('lists all the dependency types by default', () => {
+    expect(getNpmDependencies(PACKAGE_JSON).map(({ name }) => name))
+      .toEqual(['@superset-ui/core', 'd3-scale', '@babel/core', 'jest']);
+  });
+
+  it('filters by dependency type and pattern', () => {
+    expect(getNpmDependencies(PACKAGE_JSON, { group: 'devDependencies', match: '@babel/*' }))
+      .toEqual([{ name: '@babel/core', range: '^7.23.9' }]);
+  });
+});
+
+describe('npm lockfiles', () => {
+  const lockBefore = {
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'superset' },
+      'node_modules/d3-scale': { version: '2.1.2' },
+      'node_modules/@babel/core': { version: '7.23.9' },
+      'node_modules/@babel/core/node_modules/semver': { version: '6.3.1' },
+      'node_modules/left-pad': { version: '1.3.0' },
+    },
+  };
+  const lockAfter = {
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'superset' },
+      'node_modules/d3-scale': { version: '2.2.2' },
+      'node_modules/@babel/core': { version: '7.24.0' },
+      'node_modules/@babel/core/node_modules/semver': { version: '6.3.2' },
+      'node_modules/d3-time': { version: '1.1.0' },
+    },
+  };
+
+  it('reads the top-level packages', () => {
+    expect(parseNpmLockfile(lockBefore)).toEqual({
+      'd3-scale': '2.1.2', '@babel/core': '7.23.9', 'left-pad': '1.3.0',
+    });
+    expect(parseNpmLockfile({ lockfileVersion: 1, dependencies: { jest: { version: '29.7.0' } } }))
+      .toEqual({ jest: '29.7.0' });
+  });
+
+  it('computes before/after versions', () => {
+    expect(getNpmLockChanges(lockBefore, lockAfter)).toEqual({
+      'd3-scale': { before: '2.1.2', after: '2.2.2' },
+      '@babel/core': { before: '7.23.9', after: '7.24.0' },
+      'left-pad': { before: '1.3.0', after: null },
+      'd3-time': { before: null, after: '1.1.0' },
+    });
+  });
+});
+
+describe('getNpmUpdateArgv', () => {
+  it('only updates the lockfile', () => {
+    expect(getNpmUpdateArgv(['d3-scale'])).toEqual([
+      'npm', 'update', 'd3-scale', '--package-lock-only', '--ignore-scripts', '--no-audit', '--no-fund',
+    ]);
+  });
+});
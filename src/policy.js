@@ -0,0 +1,124 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+/*
+ * Authorization policy for commands triggered from GitHub comments.
+ *
+ * A policy maps a command name to a list of rules. The first rule whose `args` patterns match
+ * the command's arguments (or that has no `args`) applies, and the actor needs to hold any
+ * one of the rule's `roles`:
+ *  - `anyone`
+ *  - `author`: the author of the issue/PR the comment was made on
+ *  - `committers`: member of the configured `committerTeam`
+ *  - `permission:<level>`: repo permission of at least read|triage|write|maintain|admin
+ *  - `team:<org>/<team-slug>`: member of a GitHub team
+ *  - `org:<org>`: member of a GitHub org
+ * Commands that aren't listed fall back to the `*` entry.
+ */
+
+export const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+export const ROLE_REGEX = /^(anyone|author|committers|permission:(read|triage|write|maintain|admin)|team:[^/\s]+\/[^/\s]+|org:\S+)$/;
+
+export class PolicyDeniedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyDeniedError';
+  }
+}
+
+export function getDefaultPolicy(config) {
+  const labelRules = [
+    { args: config.protectedLabelPatterns, roles: ['committers'] },
+    { roles: ['author', 'permission:triage'] },
+  ];
+  return {
+    label: labelRules,
+    unlabel: labelRules,
+    orglabel: [{ roles: ['author', 'permission:triage'] }],
+    rebase: [{ roles: ['author', 'permission:write'] }],
+    'cherry-pick': [{ roles: ['permission:write'] }],
+    version: [{ roles: ['anyone'] }],
+    '*': [{ roles: ['permission:write'] }],
+  };
+}
+
+export function getPolicy(config) {
+  return { ...getDefaultPolicy(config), ...(config.policy || {}) };
+}
+
+export function findPolicyRule(policy, command, args = []) {
+  const rules = policy[command] || policy['*'] || [];
+  const joinedArgs = args.join(' ');
+  return rules.find((rule) => !rule.args
+    || rule.args.some((pattern) => new RegExp(pattern).test(joinedArgs))) || null;
+}
+
+export function hasPermissionLevel(actual, required) {
+  return PERMISSION_LEVELS.indexOf(actual) >= PERMISSION_LEVELS.indexOf(required);
+}
+
+async function checkRole(role, actor, checker) {
+  if (role === 'anyone') {
+    return true;
+  }
+  if (role === 'author') {
+    return (await checker.getAuthor()) === actor;
+  }
+  if (role === 'committers') {
+    return checker.isInTeam(actor, checker.committerTeam);
+  }
+  const idx = role.indexOf(':');
+  const kind = role.slice(0, idx);
+  const value = role.slice(idx + 1);
+  if (kind === 'permission') {
+    return hasPermissionLevel(await checker.getPermission(actor), value);
+  }
+  if (kind === 'team') {
+    return checker.isInTeam(actor, value);
+  }
+  if (kind === 'org') {
+    return checker.isInOrg(actor, value);
+  }
+  return false;
+}
+
+export async function evaluatePolicy({
+  policy, command, args = [], actor, checker,
+}) {
+  const rule = findPolicyRule(policy, command, args);
+  if (!rule) {
+    return { allowed: false, roles: [], role: null };
+  }
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const role of rule.roles) {
+    // Checking roles one by one so the cheap ones listed first can short-circuit API calls
+    let hasRole = false;
+    try {
+      hasRole = await checkRole(role, actor, checker);
+    } catch (error) {
+      hasRole = false;
+    }
+    if (hasRole) {
+      return { allowed: true, roles: rule.roles, role };
+    }
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+  return { allowed: false, roles: rule.roles, role: null };
+}
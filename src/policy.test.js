@@ -0,0 +1,94 @@
+import { DEFAULT_CONFIG } from './config.js';
+import {
+  getPolicy, findPolicyRule, evaluatePolicy, hasPermissionLevel,
+} from './policy.js';
+
+const policy = getPolicy(DEFAULT_CONFIG);
+
+function makeChecker({
+  author = 'author', permission = 'read', teams = [], orgs = [],
+} = {}) {
+  return {
+    committerTeam: DEFAULT_CONFIG.committerTeam,
+    getAuthor: async () => author,
+    getPermission: async () => permission,
+    isInTeam: async (username, team) => teams.includes(team),
+    isInOrg: async (username, org) => orgs.includes(org),
+  };
+}
+
+describe('findPolicyRule', () => {
+  it('picks the first rule matching the arguments', () => {
+    expect(findPolicyRule(policy, 'label', ['🚢 4.0.0']).roles).toEqual(['committers']);
+    expect(findPolicyRule(policy, 'label', ['bug']).roles).toEqual(['author', 'permission:triage']);
+  });
+
+  it('falls back to the wildcard entry', () => {
+    expect(findPolicyRule(policy, 'some-new-command', []).roles).toEqual(['permission:write']);
+  });
+
+  it('lets the config override a command', () => {
+    const custom = getPolicy({ ...DEFAULT_CONFIG, policy: { rebase: [{ roles: ['anyone'] }] } });
+    expect(findPolicyRule(custom, 'rebase', []).roles).toEqual(['anyone']);
+  });
+});
+
+describe('hasPermissionLevel', () => {
+  test.each([
+    ['admin', 'write', true],
+    ['write', 'write', true],
+    ['triage', 'write', false],
+    ['none', 'read', false],
+  ])('%s satisfies %s: %s', (actual, required, expected) => {
+    expect(hasPermissionLevel(actual, required)).toBe(expected);
+  });
+});
+
+describe('evaluatePolicy', () => {
+  it('allows the PR author to rebase', async () => {
+    const decision = await evaluatePolicy({
+      policy, command: 'rebase', actor: 'author', checker: makeChecker(),
+    });
+    expect(decision).toEqual({ allowed: true, roles: ['author', 'permission:write'], role: 'author' });
+  });
+
+  it('denies rebase to readers who are not the author', async () => {
+    const decision = await evaluatePolicy({
+      policy, command: 'rebase', actor: 'someone', checker: makeChecker(),
+    });
+    expect(decision.allowed).toBe(false);
+  });
+
+  it('requires committers for protected labels', async () => {
+    const args = ['🍒 4.0.1'];
+    let decision = await evaluatePolicy({
+      policy, command: 'label', args, actor: 'author', checker: makeChecker({ permission: 'admin' }),
+    });
+    expect(decision.allowed).toBe(false);
+
+    decision = await evaluatePolicy({
+      policy,
+      command: 'label',
+      args,
+      actor: 'someone',
+      checker: makeChecker({ teams: [DEFAULT_CONFIG.committerTeam] }),
+    });
+    expect(decision.allowed).toBe(true);
+  });
+
+  it('treats failing checks as missing roles', async () => {
+    const checker = { ...makeChecker(), getPermission: async () => { throw new Error('404'); } };
+    const decision = await evaluatePolicy({
+      policy, command: 'cherry-pick', actor: 'someone', checker,
+    });
+    expect(decision.allowed).toBe(false);
+  });
+
+  it('supports org roles', async () => {
+    const custom = getPolicy({ ...DEFAULT_CONFIG, policy: { rebase: [{ roles: ['org:preset-io'] }] } });
+    const decision = await evaluatePolicy({
+      policy: custom, command: 'rebase', actor: 'someone', checker: makeChecker({ orgs: ['preset-io'] }),
+    });
+    expect(decision.allowed).toBe(true);
+  });
+});
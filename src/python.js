@@ -0,0 +1,269 @@
+/**
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { COMMAND_TIMEOUTS, globToRegExp, spawnCommand } from './utils.js';
+
+/*
+ * Resolvers upgrade one package and recompile the pinned requirements files in place, so that
+ * `git diff` tells what changed, whatever the lock tool is. Each one provides:
+ *  - `getUpgradeCommands({ lib, reqsFiles, specifier })`: the argv of the command(s) to run,
+ *    upgrading within `specifier` (ie: "==2.2.5" or "<2.3") when set and the tool supports it,
+ *    to the latest otherwise
+ *  - `supportsSpecifier`: whether `specifier` is supported, security bumps require it
+ *  - `fixOutputFile(filePath)` (optional): post-processing of each requirements file
+ */
+
+export async function fixEditableInstall(filePath) {
+  // Somehow pip-compile-multi generates replaces the '-e file:.' with a hard-coded local path
+  // hoping they fix it in the future. In the meantime we can fix it here.
+  try {
+    const content = await fs.promises.readFile(filePath, { encoding: 'utf-8' });
+
+    let needsUpdate = false;
+    const updatedLines = content.split('\n').map((line) => {
+      if (line.startsWith('-e file:') && !line.startsWith('-e file:.')) {
+        needsUpdate = true;
+        return '-e file:.';
+      }
+      return line;
+    });
+
+    if (needsUpdate) {
+      await fs.promises.writeFile(filePath, updatedLines.join('\n'), { encoding: 'utf-8' });
+    }
+  } catch (error) {
+    console.error('Error updating the file:', error);
+  }
+}
+
+export function getInputFile(reqsFile) {
+  // requirements/base.txt is compiled from requirements/base.in
+  return reqsFile.replace(/\.txt$/, '.in');
+}
+
+function getUpgradeSpec(lib, specifier) {
+  return specifier ? `${lib}${specifier}` : lib;
+}
+
+export const PYTHON_RESOLVERS = {
+  'pip-compile-multi': {
+    // Recompiles all the requirements files at once, -P only takes package names
+    getUpgradeCommands: ({ lib }) => [['pip-compile-multi', '--use-cache', '-P', lib]],
+    fixOutputFile: fixEditableInstall,
+    supportsSpecifier: false,
+  },
+  'pip-tools': {
+    getUpgradeCommands: ({ lib, reqsFiles, specifier = null }) => reqsFiles.map((reqsFile) => [
+      'pip-compile', '--quiet', '--upgrade-package', getUpgradeSpec(lib, specifier),
+      '--output-file', reqsFile, getInputFile(reqsFile),
+    ]),
+    supportsSpecifier: true,
+  },
+  uv: {
+    getUpgradeCommands: ({ lib, reqsFiles, specifier = null }) => reqsFiles.map((reqsFile) => [
+      'uv', 'pip', 'compile', '--quiet', '--upgrade-package', getUpgradeSpec(lib, specifier),
+      '--output-file', reqsFile, getInputFile(reqsFile),
+    ]),
+    supportsSpecifier: true,
+  },
+};
+
+export function getBumpLevel(before, after) {
+  // "major", "minor" or "patch", null when there's no actual version change to compare
+  if (!before || !after || before === after) {
+    return null;
+  }
+  const [a, b] = [before, after].map((version) => version.split('.'));
+  if (a[0] !== b[0]) {
+    return 'major';
+  }
+  if (a[1] !== b[1]) {
+    return 'minor';
+  }
+  return 'patch';
+}
+
+export function getBumpedLibraries(libsBeforeAfter) {
+  return Object.entries(libsBeforeAfter)
+    .filter(([, { before = null, after = null }]) => before !== after)
+    .map(([lib, { before = null, after = null }]) => ({ lib, before, after }));
+}
+
+export function renderBumpTable(bumps) {
+  const rows = bumps.map(({ lib, before, after }) => `| ${lib} | ${before || '-'} | ${after || '-'} |`);
+  return ['| Library | Before | After |', '| --- | --- | --- |', ...rows].join('\n');
+}
+
+export const BUMP_LEVELS = ['patch', 'minor', 'major'];
+
+export function normalizePackageName(name) {
+  // As in PEP 503, "Flask_SQLAlchemy" and "flask-sqlalchemy" are the same package
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+export function parseRequirement(requirement) {
+  // "flask[async]>=2.0, <3; python_version>'3.8'" -> { name: 'flask', specifiers: ['>=2.0', '<3'] }
+  const [spec] = requirement.split(';');
+  const match = spec.match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const specifiers = match[3].replace(/[()]/g, '').split(',')
+    .map((s) => s.replace(/\s+/g, ''))
+    .filter((s) => !!s);
+  return { name: normalizePackageName(match[1]), specifiers };
+}
+
+export function getPythonSpecifiers(pyproject) {
+  // All the specifiers pyproject.toml declares for each package, optional dependencies included
+  const project = pyproject?.project || {};
+  const requirements = [
+    ...(project.dependencies || []),
+    ...Object.values(project['optional-dependencies'] || {}).flat(),
+  ];
+  const specifiers = {};
+  requirements.map(parseRequirement).filter((req) => !!req).forEach(({ name, specifiers: s }) => {
+    specifiers[name] = [...(specifiers[name] || []), ...s];
+  });
+  return specifiers;
+}
+
+function parseRelease(version) {
+  return (version.match(/^\d+(\.\d+)*/) || ['0'])[0].split('.').map(Number);
+}
+
+export function getUpgradeSpecifier({ pinned = null, fixedVersion = null, patchOnly = false }) {
+  // The version fixing a vulnerability, or the latest patch release of the pinned version with
+  // `patchOnly`, ie: "<2.3" for 2.2.5. null means the latest
+  if (fixedVersion) {
+    return `==${fixedVersion}`;
+  }
+  if (patchOnly && pinned) {
+    const [major, minor = 0] = parseRelease(pinned);
+    return `<${major}.${minor + 1}`;
+  }
+  return null;
+}
+
+export function comparePythonVersions(a, b) {
+  // Compares release segments only, "1.2" == "1.2.0"
+  const [relA, relB] = [parseRelease(a), parseRelease(b)];
+  for (let i = 0; i < Math.max(relA.length, relB.length); i += 1) {
+    const diff = (relA[i] || 0) - (relB[i] || 0);
+    if (diff !== 0) {
+      return Math.sign(diff);
+    }
+  }
+  return 0;
+}
+
+function matchesPrefix(version, prefix) {
+  const [release, prefixRelease] = [parseRelease(version), parseRelease(prefix)];
+  return prefixRelease.every((part, i) => (release[i] || 0) === part);
+}
+
+export function satisfiesSpecifier(version, specifier) {
+  const [, op, target] = specifier.match(/^(===|==|!=|~=|>=|<=|>|<)?(.*)$/);
+  if (target.endsWith('.*')) {
+    const prefix = target.slice(0, -2);
+    return op === '!=' ? !matchesPrefix(version, prefix) : matchesPrefix(version, prefix);
+  }
+  const cmp = comparePythonVersions(version, target);
+  switch (op) {
+    case '===':
+      return version === target;
+    case '!=':
+      return cmp !== 0;
+    case '~=':
+      // ~=1.4.5 means >=1.4.5 and ==1.4.*
+      return cmp >= 0 && matchesPrefix(version, target.split('.').slice(0, -1).join('.'));
+    case '>=':
+      return cmp >= 0;
+    case '<=':
+      return cmp <= 0;
+    case '>':
+      return cmp > 0;
+    case '<':
+      return cmp < 0;
+    default:
+      return cmp === 0;
+  }
+}
+
+export function checkUpdatePolicy({
+  lib, before = null, after = null, policy = {}, specifiers = {}, maxLevel = null,
+}) {
+  // Returns why a bump isn't allowed, or null when it is
+  // Patterns are normalized like names, so "Flask_*" matches "flask-sqlalchemy"
+  const name = normalizePackageName(lib);
+  const ignored = (policy.ignore || [])
+    .some((pattern) => globToRegExp(normalizePackageName(pattern)).test(name));
+  if (ignored) {
+    return 'ignored by the update policy';
+  }
+  const packagePolicy = Object.entries(policy.packages || {})
+    .find(([pkg]) => normalizePackageName(pkg) === name)?.[1] || {};
+  if (after && (packagePolicy.ignoreVersions || []).some((v) => globToRegExp(v).test(after))) {
+    return `version ${after} is ignored by the update policy`;
+  }
+  const level = getBumpLevel(before, after);
+  const exceeds = (allowed) => !!level && !!allowed
+    && BUMP_LEVELS.indexOf(level) > BUMP_LEVELS.indexOf(allowed);
+  const policyLevel = packagePolicy.level || policy.level || 'major';
+  if (exceeds(policyLevel)) {
+    return `${level} bump, the update policy only allows ${policyLevel} bumps`;
+  }
+  if (exceeds(maxLevel)) {
+    return `${level} bump, only ${maxLevel} bumps were requested`;
+  }
+  const unsatisfied = after && (specifiers[name] || []).find((s) => !satisfiesSpecifier(after, s));
+  if (unsatisfied) {
+    return `${after} doesn't satisfy "${unsatisfied}" from pyproject.toml`;
+  }
+  return null;
+}
+
+export const DEFAULT_PYTHON_RESOLVER = 'pip-compile-multi';
+
+export function getPythonResolver(name = DEFAULT_PYTHON_RESOLVER) {
+  const resolver = PYTHON_RESOLVERS[name];
+  if (!resolver) {
+    const known = Object.keys(PYTHON_RESOLVERS).join(', ');
+    throw new Error(`unknown python resolver "${name}", expected one of: ${known}`);
+  }
+  return { name, ...resolver };
+}
+
+export async function upgradePythonPackage({
+  resolver, lib, reqsFiles, shellOptions, specifier = null,
+}) {
+  // Base requirements come first, as the next files usually include them
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const argv of resolver.getUpgradeCommands({ lib, reqsFiles, specifier })) {
+    await spawnCommand({ argv, timeout: COMMAND_TIMEOUTS.resolver, ...shellOptions });
+  }
+  if (resolver.fixOutputFile) {
+    for (const reqsFile of reqsFiles) {
+      await resolver.fixOutputFile(path.join(shellOptions.cwd, reqsFile));
+    }
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+}
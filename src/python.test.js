@@ -0,0 +1,178 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  checkUpdatePolicy, fixEditableInstall, getBumpedLibraries, getBumpLevel, getPythonResolver,
+  getPythonSpecifiers, getUpgradeSpecifier, PYTHON_RESOLVERS, renderBumpTable,
+  satisfiesSpecifier,
+} from './python.js';
+
+describe('getPythonResolver', () => {
+  it('defaults to pip-compile-multi', () => {
+    const resolver = getPythonResolver();
+    expect(resolver.name).toEqual('pip-compile-multi');
+    expect(resolver.getUpgradeCommands({ lib: 'flask', reqsFiles: ['requirements/base.txt'] }))
+      .toEqual([['pip-compile-multi', '--use-cache', '-P', 'flask']]);
+  });
+
+  it.each([
+    ['pip-tools', ['pip-compile']],
+    ['uv', ['uv', 'pip', 'compile']],
+  ])('recompiles each requirements file with %s', (name, prefix) => {
+    const commands = getPythonResolver(name).getUpgradeCommands({
+      lib: 'flask', reqsFiles: ['requirements/base.txt', 'requirements/development.txt'],
+    });
+    expect(commands).toEqual([
+      [...prefix, '--quiet', '--upgrade-package', 'flask', '--output-file', 'requirements/base.txt', 'requirements/base.in'],
+      [...prefix, '--quiet', '--upgrade-package', 'flask', '--output-file', 'requirements/development.txt', 'requirements/development.in'],
+    ]);
+  });
+
+  it('targets a version when the resolver supports it', () => {
+    expect(Object.keys(PYTHON_RESOLVERS).filter((name) => PYTHON_RESOLVERS[name].supportsSpecifier))
+      .toEqual(['pip-tools', 'uv']);
+    const reqsFiles = ['requirements/base.txt'];
+    expect(getPythonResolver('uv').getUpgradeCommands({ lib: 'flask', reqsFiles, specifier: '==2.2.5' })[0])
+      .toContain('flask==2.2.5');
+    expect(getPythonResolver('pip-tools').getUpgradeCommands({ lib: 'flask', reqsFiles, specifier: '<2.3' })[0])
+      .toContain('flask<2.3');
+    expect(getPythonResolver().getUpgradeCommands({ lib: 'flask', reqsFiles, specifier: '==2.2.5' }))
+      .toEqual([['pip-compile-multi', '--use-cache', '-P', 'flask']]);
+  });
+
+  it('throws on unknown resolvers', () => {
+    expect(() => getPythonResolver('poetry')).toThrow(`expected one of: ${Object.keys(PYTHON_RESOLVERS).join(', ')}`);
+  });
+});
+
+describe('fixEditableInstall', () => {
+  it('restores the relative editable install', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supersetbot-python-'));
+    const filePath = path.join(tmpDir, 'base.txt');
+    fs.writeFileSync(filePath, '-e file:/home/runner/superset\nflask==2.0.0\n');
+    await fixEditableInstall(filePath);
+    expect(fs.readFileSync(filePath, 'utf8')).toEqual('-e file:.\nflask==2.0.0\n');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
+
+describe('bumps', () => {
+  it.each([
+    ['1.2.3', '2.0.0', 'major'],
+    ['1.2.3', '1.3.0', 'minor'],
+    ['1.2.3', '1.2.4', 'patch'],
+    ['2024.1', '2024.1.1', 'patch'],
+    [null, '1.0.0', null],
+    ['1.0.0', '1.0.0', null],
+  ])('%s -> %s is a %s bump', (before, after, level) => {
+    expect(getBumpLevel(before, after)).toEqual(level);
+  });
+
+  it('renders a before/after table of the actual changes', () => {
+    const bumps = getBumpedLibraries({
+      flask: { before: '2.0.0', after: '2.0.1' },
+      click: { before: '8.0.0', after: '8.0.0' },
+      blinker: { after: '1.7.0' },
+    });
+    expect(bumps).toEqual([
+      { lib: 'flask', before: '2.0.0', after: '2.0.1' },
+      { lib: 'blinker', before: null, after: '1.7.0' },
+    ]);
+    expect(renderBumpTable(bumps)).toEqual([
+      '| Library | Before | After |',
+      '| --- | --- | --- |',
+      '| flask | 2.0.0 | 2.0.1 |',
+      '| blinker | - | 1.7.0 |',
+    ].join('\n'));
+  });
+});
+
+describe('update policy', () => {
+  it('collects the specifiers declared in pyproject.toml', () => {
+    const specifiers = getPythonSpecifiers({
+      project: {
+        dependencies: ['Flask_Caching>=2.0, <3', "pandas[excel]>=2.0.3; python_version>'3.8'", 'click'],
+        'optional-dependencies': { postgres: ['psycopg2-binary==2.9.6'] },
+      },
+    });
+    expect(specifiers).toEqual({
+      'flask-caching': ['>=2.0', '<3'],
+      pandas: ['>=2.0.3'],
+      click: [],
+      'psycopg2-binary': ['==2.9.6'],
+    });
+  });
+
+  it.each([
+    ['2.1.0', '>=2.0', true],
+    ['3.0.0', '<3', false],
+    ['1.4.9', '~=1.4.5', true],
+    ['1.5.0', '~=1.4.5', false],
+    ['2.9.7', '==2.9.*', true],
+    ['3.0', '!=3.*', false],
+    ['2.0', '==2.0.0', true],
+  ])('%s satisfies "%s": %s', (version, specifier, expected) => {
+    expect(satisfiesSpecifier(version, specifier)).toEqual(expected);
+  });
+
+  const policy = {
+    level: 'minor',
+    ignore: ['apache-*'],
+    packages: {
+      Pandas: { level: 'patch' },
+      flask: { level: 'major', ignoreVersions: ['3.0.*'] },
+    },
+  };
+
+  it.each([
+    ['apache-airflow', '1.0.0', '1.0.1', 'ignored by the update policy'],
+    ['click', '8.0.0', '8.1.0', null],
+    ['click', '8.0.0', '9.0.0', 'major bump, the update policy only allows minor bumps'],
+    ['pandas', '2.0.3', '2.1.0', 'minor bump, the update policy only allows patch bumps'],
+    ['flask', '2.3.0', '3.1.0', null],
+    ['flask', '2.3.0', '3.0.2', 'version 3.0.2 is ignored by the update policy'],
+  ])('checks %s %s -> %s', (lib, before, after, reason) => {
+    expect(checkUpdatePolicy({
+      lib, before, after, policy,
+    })).toEqual(reason);
+  });
+
+  it('checks the new version against pyproject.toml ranges', () => {
+    expect(checkUpdatePolicy({
+      lib: 'Flask-Caching', before: '2.0.0', after: '3.0.0', specifiers: { 'flask-caching': ['>=2.0', '<3'] },
+    })).toEqual('3.0.0 doesn\'t satisfy "<3" from pyproject.toml');
+  });
+
+  it('only allows patch bumps when asked to', () => {
+    expect(checkUpdatePolicy({
+      lib: 'click', before: '8.0.0', after: '8.1.0', maxLevel: 'patch',
+    })).toEqual('minor bump, only patch bumps were requested');
+  });
+
+  it('normalizes the ignored patterns like package names', () => {
+    const ignoring = { ignore: ['Flask_SQLAlchemy', 'Apache.*'] };
+    expect(checkUpdatePolicy({ lib: 'flask-sqlalchemy', policy: ignoring }))
+      .toEqual('ignored by the update policy');
+    expect(checkUpdatePolicy({ lib: 'apache_airflow', policy: ignoring }))
+      .toEqual('ignored by the update policy');
+    expect(checkUpdatePolicy({ lib: 'flask', policy: ignoring })).toBeNull();
+  });
+});
+
+describe('getUpgradeSpecifier', () => {
+  it('targets the fixed version first', () => {
+    expect(getUpgradeSpecifier({ pinned: '2.2.2', fixedVersion: '2.2.5', patchOnly: true }))
+      .toEqual('==2.2.5');
+  });
+
+  it('stays on the pinned minor version for patch-only bumps', () => {
+    expect(getUpgradeSpecifier({ pinned: '2.2.2', patchOnly: true })).toEqual('<2.3');
+    expect(getUpgradeSpecifier({ pinned: '3', patchOnly: true })).toEqual('<3.1');
+  });
+
+  it('upgrades to the latest otherwise', () => {
+    expect(getUpgradeSpecifier({ pinned: '2.2.2' })).toBeNull();
+    expect(getUpgradeSpecifier({ patchOnly: true })).toBeNull();
+  });
+});
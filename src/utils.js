@@ -18,7 +18,9 @@
  */
 
 import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
 
+import { appendFileSync } from 'fs';
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import path from 'path';
@@ -41,21 +43,43 @@ export async function currentPackageVersion() {
   return data.version;
 }
 
-export function runShellCommand({
-  command, raiseOnError = true, exitOnError = true, cwd = null, dryRun = false,
+export function quoteArg(arg) {
+  // Only for display, quotes what a shell would otherwise interpret
+  const str = String(arg);
+  if (str && /^[\w./:=,@%+-]+$/.test(str)) {
+    return str;
+  }
+  return `'${str.replace(/'/g, "'\\''")}'`;
+}
+
+export function formatCommand(argGroups, separator = ' ') {
+  // Each group is an arg, or a list of args that belong together (ie: ['-t', tag])
+  return argGroups
+    .map((group) => [].concat(group).map(quoteArg).join(' '))
+    .join(separator);
+}
+
+// In ms, for the commands that can hang on the network or a long resolution
+export const COMMAND_TIMEOUTS = {
+  git: 10 * 60 * 1000,
+  resolver: 30 * 60 * 1000,
+  npm: 15 * 60 * 1000,
+  docker: 3 * 60 * 60 * 1000,
+};
+
+export function spawnCommand({
+  argv, raiseOnError = true, exitOnError = true, cwd = null, dryRun = false, timeout = null,
+  signal = null, env = null,
 }) {
+  // Spawns argv[0] without a shell, so arguments are passed as is, never interpreted
   return new Promise((resolve, reject) => {
-    const args = command.split(/\s+/).filter((s) => !!s && s !== '\\');
-    const spawnOptions = {
-      shell: true,
-      cwd,
-      env: { ...process.env },
-    };
+    const [file, ...args] = argv;
+    const printable = formatCommand(argv);
 
     if (cwd) {
-      console.log(`RUN \`${command}\` in "${cwd}"`);
+      console.log(`RUN \`${printable}\` in "${cwd}"`);
     } else {
-      console.log(`RUN: \`${command}\``);
+      console.log(`RUN: \`${printable}\``);
     }
 
     if (dryRun) {
@@ -63,9 +87,18 @@ export function runShellCommand({
       return;
     }
 
-    const child = spawn(args.shift(), args, spawnOptions);
+    const child = spawn(file, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      ...(signal ? { signal } : {}),
+    });
     let stdout = '';
     let stderr = '';
+    let timedOut = false;
+    const timer = timeout ? setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, timeout) : null;
 
     child.stdout.on('data', (data) => {
       console.log(data.toString());
@@ -78,8 +111,16 @@ export function runShellCommand({
     });
 
     child.on('close', (code) => {
+      clearTimeout(timer);
+      if (signal?.aborted) {
+        // Cancelled by the caller, who's handling it
+        reject(new Error(`Command aborted: ${printable}`));
+        return;
+      }
       if (code !== 0) {
-        const msg = `Command failed with exit code ${code}: ${stderr}`;
+        const msg = timedOut
+          ? `Command timed out after ${timeout}ms: ${printable}`
+          : `Command failed with exit code ${code}: ${stderr}`;
         console.error(msg);
 
         if (raiseOnError) {
@@ -94,7 +135,10 @@ export function runShellCommand({
     });
 
     child.on('error', (err) => {
-      reject(err);
+      clearTimeout(timer);
+      if (!signal?.aborted) {
+        reject(err);
+      }
     });
   });
 }
@@ -186,3 +230,31 @@ export function compareSemVer(a, b) {
 
   return 0; // Versions are equal
 }
+
+export function formatGithubOutputs(outputs) {
+  // Multi-line values need the heredoc-like syntax, see
+  // https://docs.github.com/en/actions/using-workflows/workflow-commands-for-github-actions#multiline-strings
+  return Object.entries(outputs).map(([name, value]) => {
+    const str = typeof value === 'string' ? value : JSON.stringify(value);
+    if (!str.includes('\n')) {
+      return `${name}=${str}\n`;
+    }
+    const delimiter = `ghadelimiter_${randomUUID()}`;
+    return `${name}<<${delimiter}\n${str}\n${delimiter}\n`;
+  }).join('');
+}
+
+export function writeGithubOutputs(outputs, outputFile = process.env.GITHUB_OUTPUT) {
+  // No-op outside of GitHub Actions
+  if (!outputFile) {
+    return false;
+  }
+  appendFileSync(outputFile, formatGithubOutputs(outputs));
+  return true;
+}
+
+export function globToRegExp(pattern) {
+  // Supports `*` and `?`, ie: "apache-superset-*"
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
@@ -1,4 +1,11 @@
-import { parsePinnedRequirementsTree, mergeParsedRequirementsTree, compareSemVer } from './utils.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  parsePinnedRequirementsTree, mergeParsedRequirementsTree, compareSemVer, formatGithubOutputs,
+  writeGithubOutputs, formatCommand, spawnCommand, globToRegExp,
+} from './utils.js';
 
 describe('parsePinnedRequirementsTree', () => {
   it('parses single dependency correctly', () => {
@@ -143,3 +150,64 @@ describe('SemVer Comparison', () => {
     expect(compareSemVer('2.0.0', '1.10.10')).toBe(1);
   });
 });
+
+describe('GitHub outputs', () => {
+  it('formats single and multi-line values', () => {
+    const formatted = formatGithubOutputs({ latest: 'true', matrix: { include: [] }, tags: 'a\nb' });
+    const [, delimiter] = formatted.match(/tags<<(\S+)\n/);
+    expect(formatted).toEqual(`latest=true\nmatrix={"include":[]}\ntags<<${delimiter}\na\nb\n${delimiter}\n`);
+  });
+
+  it('appends to the output file, if any', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supersetbot-outputs-'));
+    const outputFile = path.join(tmpDir, 'output');
+    expect(writeGithubOutputs({ a: '1' }, outputFile)).toBe(true);
+    expect(writeGithubOutputs({ b: '2' }, outputFile)).toBe(true);
+    expect(fs.readFileSync(outputFile, 'utf8')).toEqual('a=1\nb=2\n');
+    expect(writeGithubOutputs({ a: '1' }, '')).toBe(false);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
+
+describe('formatCommand', () => {
+  it('quotes what a shell would interpret', () => {
+    expect(formatCommand(['git', 'commit', '-m', "chore: it's $HOME"])).toEqual("git commit -m 'chore: it'\\''s $HOME'");
+    expect(formatCommand([['-t', 'a:b'], '--load'], ' \\\n')).toEqual('-t a:b \\\n--load');
+  });
+});
+
+describe('spawnCommand', () => {
+  it("doesn't interpret arguments", async () => {
+    const { stdout } = await spawnCommand({ argv: ['echo', '"$HOME" `id`; exit 1'] });
+    expect(stdout).toEqual('"$HOME" `id`; exit 1\n');
+  });
+
+  it('passes env overrides', async () => {
+    const { stdout } = await spawnCommand({ argv: ['node', '-e', 'process.stdout.write(process.env.FOO)'], env: { FOO: 'bar' } });
+    expect(stdout).toEqual('bar');
+  });
+
+  it('times out', async () => {
+    await expect(spawnCommand({
+      argv: ['sleep', '5'], timeout: 100, exitOnError: false,
+    })).rejects.toThrow('Command timed out after 100ms');
+  });
+
+  it('can be aborted', async () => {
+    const controller = new AbortController();
+    const promise = spawnCommand({ argv: ['sleep', '5'], signal: controller.signal });
+    controller.abort();
+    await expect(promise).rejects.toThrow('Command aborted');
+  });
+});
+
+describe('globToRegExp', () => {
+  it('matches names against glob patterns', () => {
+    const regex = globToRegExp('apache-*');
+    expect(regex.test('apache-superset')).toBe(true);
+    expect(regex.test('Apache-Airflow')).toBe(true);
+    expect(regex.test('superset-apache')).toBe(false);
+    expect(globToRegExp('flask-?ql').test('flask-sql')).toBe(true);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+});